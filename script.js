@@ -68,803 +68,5868 @@
     // Enhanced error handling
     function handleError(error, context) {
         console.error(`ArmanLeads Error [${context}]:`, error);
-        
-        // Optional: Send to analytics in production
-        if (window.gtag && typeof window.gtag === 'function') {
-            window.gtag('event', 'exception', {
-                description: `${context}: ${error.message}`,
-                fatal: false
-            });
-        }
+        errorReporter.capture(error, context);
+
+        // Reporting leaves the browser, so it needs analytics consent
+        if (!consent.has('analytics')) return;
+
+        analytics.track('exception', {
+            description: `${context}: ${error && error.message}`,
+            fatal: false
+        });
     }
 
-    // 1. Enhanced Preloader with better UX
-    function initPreloader() {
-        const preloader = document.getElementById('preloader');
-        if (!preloader) return;
+    // Analytics - one typed event catalog fanned out to pluggable sinks, gated by consent.
+    // Sinks declare a consent category; 'necessary' sinks (console, memory) always receive events.
+    const ANALYTICS_EVENTS = {
+        section_view: { section_id: 'string' },
+        cta_click: { cta_id: 'string', cta_text: 'string', destination: 'string' },
+        business_type_selected: { business_type: 'string' },
+        form_start: { form_id: 'string', field: 'string' },
+        form_abandon: { form_id: 'string', last_field: 'string', fields_focused: 'number', fields_completed: 'number', time_in_form: 'number' },
+        form_field_interaction: { form_id: 'string', field: 'string', outcome: 'string', focus_count: 'number', time_in_field: 'number', completed: 'boolean' },
+        form_submit: { form_id: 'string', status: 'string', business_type: 'string', lead_score: 'number', lead_tier: 'string' },
+        lead_capture_shown: { trigger: 'string' },
+        experiment_exposure: { experiment_id: 'string', variant_id: 'string' },
+        roi_calculated: { vertical: 'string', ad_budget: 'number', customer_value: 'number', projected_roi: 'number' },
+        personalization_applied: { vertical: 'string', source: 'string' },
+        faq_open: { question_id: 'string', source: 'string' },
+        faq_search: { search_term: 'string', results: 'number' },
+        portfolio_filtered: { vertical: 'string', sort: 'string', results: 'number' },
+        case_study_viewed: { case_id: 'string', vertical: 'string', source: 'string' },
+        calendly_open: { source: 'string' },
+        calendly_step: { step: 'string' },
+        calendly_booked: { event_uri: 'string', invitee_uri: 'string' },
+        exception: { description: 'string', fatal: 'boolean' }
+    };
 
-        let isLoaded = false;
+    // Meta only optimizes on its standard events; everything else goes out as a custom event
+    const META_STANDARD_EVENTS = {
+        form_submit: 'Lead',
+        calendly_booked: 'Schedule'
+    };
 
-        function hidePreloader() {
-            if (isLoaded) return;
-            isLoaded = true;
-            
-            preloader.classList.add('fade-out');
-            setTimeout(() => {
-                if (preloader.parentNode) {
-                    preloader.parentNode.removeChild(preloader);
+    const analyticsSinks = {
+        ga4: () => ({
+            name: 'ga4',
+            category: 'analytics',
+            send(name, params) {
+                if (typeof window.gtag === 'function') {
+                    window.gtag('event', name, params);
                 }
-                // Trigger any animations that should start after page load
-                document.body.classList.add('loaded');
-            }, 350);
+            }
+        }),
+        meta: () => ({
+            name: 'meta',
+            category: 'marketing',
+            send(name, params) {
+                if (typeof window.fbq !== 'function') return;
+                if (META_STANDARD_EVENTS[name]) {
+                    window.fbq('track', META_STANDARD_EVENTS[name], params);
+                } else {
+                    window.fbq('trackCustom', name, params);
+                }
+            }
+        }),
+        plausible: () => ({
+            name: 'plausible',
+            category: 'analytics',
+            send(name, params) {
+                if (typeof window.plausible === 'function') {
+                    window.plausible(name, { props: params });
+                }
+            }
+        }),
+        console: () => ({
+            name: 'console',
+            category: 'necessary',
+            send(name, params) {
+                console.info(`ArmanLeads analytics: ${name}`, params);
+            }
+        }),
+        // For tests and QA: keeps everything it receives
+        memory: () => {
+            const events = [];
+            return {
+                name: 'memory',
+                category: 'necessary',
+                events,
+                send(name, params) {
+                    events.push({ name, params, timestamp: Date.now() });
+                },
+                clear() {
+                    events.length = 0;
+                }
+            };
         }
+    };
 
-        // Hide on load or after max timeout
-        window.addEventListener('load', hidePreloader);
-        
-        // Safety timeout - don't show preloader forever
-        setTimeout(() => {
-            if (!isLoaded) {
-                console.warn('Preloader timeout - hiding after 5 seconds');
-                hidePreloader();
-            }
-        }, 5000);
+    // Free text (a search term, an error message) can carry contact details; none of it leaves the browser
+    function scrubPii(text) {
+        return text
+            .replace(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '[email]')
+            .replace(/\+?\d(?:[\s().-]*\d){6,}/g, '[phone]');
     }
 
-    // 2. Enhanced sticky navbar with scroll direction detection
-    function initStickyNavbar() {
-        const navbar = document.getElementById('navbar');
-        if (!navbar) return;
-
-        let lastScrollY = window.scrollY;
-        let isScrollingDown = false;
+    const analytics = (() => {
+        const sinks = [];
+        const listeners = [];
+        // Nothing but 'necessary' until initConsent applies the visitor's choice
+        const consent = { necessary: true, analytics: false, marketing: false };
 
-        const handleScroll = throttle(() => {
-            const currentScrollY = window.scrollY;
-            const scrollingDown = currentScrollY > lastScrollY;
-            
-            // Add scrolled class
-            navbar.classList.toggle('scrolled', currentScrollY > 50);
-            
-            // Optional: Hide navbar when scrolling down (uncomment if desired)
-            /*
-            if (scrollingDown !== isScrollingDown && currentScrollY > 100) {
-                isScrollingDown = scrollingDown;
-                navbar.style.transform = scrollingDown ? 'translateY(-100%)' : 'translateY(0)';
+        // Unknown events are dropped; params outside the catalog or of the wrong type are stripped,
+        // and strings are scrubbed of email addresses and phone numbers
+        function sanitize(name, params) {
+            const schema = ANALYTICS_EVENTS[name];
+            if (!schema) {
+                console.warn(`ArmanLeads analytics: unknown event "${name}"`);
+                return null;
             }
-            */
-            
-            lastScrollY = currentScrollY;
-        }, 16);
 
-        window.addEventListener('scroll', handleScroll, passiveIfSupported);
-        
-        return () => window.removeEventListener('scroll', handleScroll);
-    }
+            const payload = {};
+            Object.keys(params).forEach(key => {
+                const value = params[key];
+                if (value === undefined || value === null) return;
 
-    // 3. Enhanced mobile navigation with better accessibility
-    function initMobileNav() {
-        const navToggle = document.getElementById('nav-toggle');
-        const navMenu = document.getElementById('nav-menu');
-        if (!navToggle || !navMenu) return;
+                if (!schema[key]) {
+                    console.warn(`ArmanLeads analytics: "${key}" is not a parameter of "${name}"`);
+                } else if (typeof value !== schema[key]) {
+                    console.warn(`ArmanLeads analytics: "${name}.${key}" should be a ${schema[key]}`);
+                } else {
+                    payload[key] = typeof value === 'string' ? scrubPii(value) : value;
+                }
+            });
+            return payload;
+        }
+
+        function track(name, params = {}) {
+            const payload = sanitize(name, params);
+            if (!payload) return;
 
-        let isOpen = false;
-        let focusableElements = [];
-        let originalFocus = null;
+            listeners.forEach(({ event, handler }) => {
+                if (event === '*' || event === name) {
+                    try {
+                        handler(name, payload);
+                    } catch (e) {
+                        console.error('ArmanLeads analytics listener failed:', e);
+                    }
+                }
+            });
 
-        function updateFocusableElements() {
-            focusableElements = Array.from(navMenu.querySelectorAll(
-                'a[href], button, [tabindex]:not([tabindex="-1"])'
-            ));
+            sinks.forEach(sink => {
+                if (!consent[sink.category]) return;
+                try {
+                    sink.send(name, payload);
+                } catch (e) {
+                    // Never let a third-party script break the page; don't route through handleError either,
+                    // since that would track another event
+                    console.error(`ArmanLeads analytics sink "${sink.name}" failed:`, e);
+                }
+            });
         }
 
-        function trapFocus(e) {
-            if (!isOpen || focusableElements.length === 0) return;
+        function addSink(sink) {
+            const instance = typeof sink === 'string' ? analyticsSinks[sink]() : sink;
+            removeSink(instance.name);
+            sinks.push(instance);
+            return instance;
+        }
 
-            const firstFocusable = focusableElements[0];
-            const lastFocusable = focusableElements[focusableElements.length - 1];
+        function removeSink(name) {
+            const index = sinks.findIndex(sink => sink.name === name);
+            if (index !== -1) sinks.splice(index, 1);
+        }
 
-            if (e.key === 'Tab') {
-                if (e.shiftKey) {
-                    if (document.activeElement === firstFocusable) {
-                        e.preventDefault();
-                        lastFocusable.focus();
-                    }
-                } else {
-                    if (document.activeElement === lastFocusable) {
-                        e.preventDefault();
-                        firstFocusable.focus();
-                    }
-                }
-            }
+        // In-page subscribers (no consent needed - nothing leaves the browser)
+        function on(event, handler) {
+            const listener = { event, handler };
+            listeners.push(listener);
+            return () => {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) listeners.splice(index, 1);
+            };
         }
 
-        function openMenu() {
-            isOpen = true;
-            originalFocus = document.activeElement;
-            navToggle.setAttribute('aria-expanded', 'true');
-            navMenu.classList.add('active');
-            document.body.classList.add('modal-open');
-            
-            updateFocusableElements();
-            
-            // Focus first menu item after animation
-            setTimeout(() => {
-                if (focusableElements[0]) {
-                    focusableElements[0].focus();
-                }
-            }, 100);
-            
-            document.addEventListener('keydown', trapFocus);
+        function setConsent(categories) {
+            Object.assign(consent, categories, { necessary: true });
         }
 
-        function closeMenu() {
-            isOpen = false;
-            navToggle.setAttribute('aria-expanded', 'false');
-            navMenu.classList.remove('active');
-            document.body.classList.remove('modal-open');
-            
-            document.removeEventListener('keydown', trapFocus);
-            
-            // Restore focus
-            if (originalFocus) {
-                originalFocus.focus();
-            } else {
-                navToggle.focus();
+        return {
+            track,
+            on,
+            addSink,
+            removeSink,
+            setConsent,
+            getSinks: () => sinks.map(sink => sink.name),
+            events: ANALYTICS_EVENTS
+        };
+    })();
+
+    // Page engagement - which sections were viewed and for how long (only while the tab is visible)
+    const pageEngagement = (() => {
+        const startedAt = Date.now();
+        const sectionTime = {};
+        let activeSection = null;
+        let activeSince = Date.now();
+
+        function addElapsedTime() {
+            if (activeSection) {
+                sectionTime[activeSection] = (sectionTime[activeSection] || 0) + (Date.now() - activeSince);
             }
+            activeSince = Date.now();
         }
 
-        // Toggle functionality
-        navToggle.addEventListener('click', (e) => {
-            e.preventDefault();
-            isOpen ? closeMenu() : openMenu();
-        });
+        function commitActiveTime() {
+            if (document.hidden) return;
+            addElapsedTime();
+        }
 
-        // Close on outside click
-        document.addEventListener('click', (e) => {
-            if (isOpen && !navMenu.contains(e.target) && !navToggle.contains(e.target)) {
-                closeMenu();
-            }
-        });
+        // Returns true the first time a section becomes active
+        function setActiveSection(id) {
+            if (id === activeSection) return false;
+            commitActiveTime();
+            activeSection = id;
+            if (id in sectionTime) return false;
 
-        // Close on Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && isOpen) {
-                closeMenu();
+            sectionTime[id] = 0;
+            return true;
+        }
+
+        // By the time this fires the tab is already hidden, so the visible stretch is committed here;
+        // on return only the clock restarts, leaving the hidden time out
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                addElapsedTime();
+            } else {
+                activeSince = Date.now();
             }
         });
 
-        // Close on nav link click (mobile only)
-        const navLinks = navMenu.querySelectorAll('a[href^="#"]');
-        navLinks.forEach(link => {
-            link.addEventListener('click', () => {
-                if (window.innerWidth <= 767) {
-                    setTimeout(closeMenu, 100); // Small delay for better UX
+        function getSnapshot() {
+            commitActiveTime();
+            return {
+                timeOnPage: Date.now() - startedAt,
+                sectionsViewed: Object.keys(sectionTime),
+                sectionTime: { ...sectionTime }
+            };
+        }
+
+        return { setActiveSection, getSnapshot };
+    })();
+
+    // Plain-object deep merge; arrays and everything else are replaced, not merged
+    function deepMerge(target, ...sources) {
+        sources.forEach(source => {
+            if (!source || typeof source !== 'object') return;
+            Object.keys(source).forEach(key => {
+                const value = source[key];
+                const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+                if (isPlainObject && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+                    deepMerge(target[key], value);
+                } else {
+                    target[key] = isPlainObject ? deepMerge({}, value) : value;
                 }
             });
         });
+        return target;
+    }
 
-        // Close menu on resize if mobile menu is open
-        const handleResize = debounce(() => {
-            if (isOpen && window.innerWidth > 767) {
-                closeMenu();
-            }
-        }, 250);
+    // Lead scoring - points per signal, capped at 100, so audits can be triaged from the inbox
+    const leadScoringWeights = {
+        businessType: { dental: 25, fitness: 20, other: 10 },
+        perChair: 3,
+        chairsMax: 15,
+        trialOffer: { none: 10, free_trial: 5, paid_intro: 5, discounted_month: 5 },
+        vertical: 5,
+        website: 10,
+        phone: 10,
+        perSection: 2,
+        sectionsMax: 12,
+        perMinuteOnPage: 3,
+        timeOnPageMax: 15,
+        pricingRead: 15,
+        pricingReadMs: 8000,
+        tiers: { hot: 70, warm: 40 }
+    };
 
-        window.addEventListener('resize', handleResize);
+    function configureLeadScoring(overrides) {
+        deepMerge(leadScoringWeights, overrides);
+    }
 
-        return () => {
-            window.removeEventListener('resize', handleResize);
-            document.removeEventListener('keydown', trapFocus);
+    function scoreLead(formData, engagement, weights = leadScoringWeights) {
+        const signals = [];
+        const add = (signal, points) => {
+            const rounded = Math.round(points || 0);
+            if (rounded) signals.push({ signal, points: rounded });
         };
-    }
+        const value = name => String(formData.get(name) || '').trim();
 
-    // 4. Enhanced smooth navigation with better performance
-    function initSmoothNavigation() {
-        const navLinks = document.querySelectorAll('a[href^="#"]');
-        const navbar = document.getElementById('navbar');
-        const navbarHeight = navbar ? navbar.offsetHeight : 80;
+        const businessType = value('business_type');
+        add(`business_type:${businessType}`, weights.businessType[businessType]);
 
-        // Handle navigation clicks
-        navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                const href = link.getAttribute('href');
-                if (href === '#' || href === '#top') return;
+        const chairs = parseInt(value('chair_count'), 10);
+        if (chairs > 0) {
+            add('chair_count', Math.min(chairs * weights.perChair, weights.chairsMax));
+        }
+        if (value('trial_offer')) {
+            add(`trial_offer:${value('trial_offer')}`, weights.trialOffer[value('trial_offer')]);
+        }
+        if (value('vertical')) add('vertical', weights.vertical);
+        if (value('website')) add('website', weights.website);
+        if (value('phone')) add('phone', weights.phone);
 
-                const target = document.querySelector(href);
-                if (!target) return;
+        add('sections_viewed', Math.min(engagement.sectionsViewed.length * weights.perSection, weights.sectionsMax));
+        add('time_on_page', Math.min((engagement.timeOnPage / 60000) * weights.perMinuteOnPage, weights.timeOnPageMax));
 
-                e.preventDefault();
-                
-                const targetPosition = target.offsetTop - navbarHeight - 20;
-                const startPosition = window.pageYOffset;
-                const distance = Math.max(0, targetPosition) - startPosition;
-                
-                // Use native smooth scrolling if supported, otherwise use custom
-                if ('scrollBehavior' in document.documentElement.style) {
-                    window.scrollTo({
-                        top: Math.max(0, targetPosition),
-                        behavior: 'smooth'
-                    });
-                } else {
-                    // Custom smooth scroll for older browsers
-                    const duration = Math.min(Math.abs(distance) / 2, 800);
-                    let start = null;
-                    
-                    function animate(currentTime) {
-                        if (start === null) start = currentTime;
-                        const timeElapsed = currentTime - start;
-                        const progress = Math.min(timeElapsed / duration, 1);
-                        
-                        // Easing function
-                        const ease = progress < 0.5 
-                            ? 2 * progress * progress 
-                            : -1 + (4 - 2 * progress) * progress;
-                            
-                        window.scrollTo(0, startPosition + distance * ease);
-                        
-                        if (timeElapsed < duration) {
-                            requestAnimationFrame(animate);
-                        }
-                    }
-                    
-                    requestAnimationFrame(animate);
-                }
-            });
-        });
+        const pricingRead = (engagement.sectionTime.pricing || 0) >= weights.pricingReadMs;
+        if (pricingRead) add('pricing_read', weights.pricingRead);
 
-        // Enhanced active section highlighting
-        const sections = document.querySelectorAll('section[id]');
-        if (sections.length === 0) return;
+        const score = Math.max(0, Math.min(100, signals.reduce((total, { points }) => total + points, 0)));
+        const tier = score >= weights.tiers.hot ? 'hot' : score >= weights.tiers.warm ? 'warm' : 'cold';
 
-        const observerOptions = {
-            root: null,
-            rootMargin: `-${navbarHeight + 50}px 0px -50% 0px`,
-            threshold: [0, 0.25, 0.5, 0.75, 1]
+        return { score, tier, signals, pricingRead };
+    }
+
+    // ROI calculator - projected cost and return for the pricing section. Benchmarks are per vertical,
+    // and cost per lead creeps up with budget (the cheapest clicks are bought first)
+    const roiSettings = {
+        managementFee: 797,
+        setupFee: 497,
+        // Founding-client offer: this much off the management fee for the first discountMonths
+        discount: 0.5,
+        discountMonths: 3,
+        projectionMonths: 3,
+        budget: { min: 500, max: 5000, step: 100, default: 1200 },
+        budgetElasticity: 0.15,
+        defaultCurrentCustomers: 10,
+        verticals: {
+            dental: { costPerLead: 60, closeRate: 0.25, customerValue: 1200 },
+            fitness: { costPerLead: 30, closeRate: 0.3, customerValue: 600 },
+            other: { costPerLead: 50, closeRate: 0.25, customerValue: 800 }
+        }
+    };
+
+    function configureRoi(overrides) {
+        deepMerge(roiSettings, overrides);
+    }
+
+    function calculateRoi({ adBudget, customerValue, currentCustomers, vertical }, settings = roiSettings) {
+        const benchmark = settings.verticals[vertical] || settings.verticals.other;
+        const costPerLead = benchmark.costPerLead * Math.pow(Math.max(adBudget, 1) / 1000, settings.budgetElasticity);
+        const leadsPerMonth = adBudget / costPerLead;
+        const newCustomersPerMonth = leadsPerMonth * benchmark.closeRate;
+
+        const months = settings.projectionMonths;
+        const discountedMonths = Math.min(settings.discountMonths, months);
+        const discountedFee = settings.managementFee * (1 - settings.discount);
+        const totalCost = settings.setupFee
+            + discountedFee * discountedMonths
+            + settings.managementFee * (months - discountedMonths)
+            + adBudget * months;
+        const revenue = newCustomersPerMonth * customerValue * months;
+
+        return {
+            costPerLead,
+            leadsPerMonth,
+            newCustomersPerMonth,
+            projectedCustomers: currentCustomers + newCustomersPerMonth,
+            monthlyCostDiscounted: adBudget + discountedFee,
+            monthlyCost: adBudget + settings.managementFee,
+            // New customers a month that cover the full-price monthly cost
+            breakEvenCustomers: customerValue > 0 ? Math.ceil((adBudget + settings.managementFee) / customerValue) : null,
+            totalCost,
+            revenue,
+            roi: totalCost > 0 ? (revenue - totalCost) / totalCost : 0
         };
+    }
 
-        const observer = createIntersectionObserver((entries) => {
-            // Find the section with highest intersection ratio
-            let maxRatio = 0;
-            let activeSection = null;
-            
-            entries.forEach(entry => {
-                if (entry.intersectionRatio > maxRatio) {
-                    maxRatio = entry.intersectionRatio;
-                    activeSection = entry.target;
-                }
-            });
-            
-            if (activeSection) {
-                const id = activeSection.getAttribute('id');
-                
-                // Remove active from all nav links
-                document.querySelectorAll('.nav-link').forEach(link => {
-                    link.classList.remove('active');
-                });
-                
-                // Add active to current
-                const activeNavLink = document.querySelector(`.nav-link[href="#${id}"]`);
-                if (activeNavLink) {
-                    activeNavLink.classList.add('active');
-                }
+    // The calculator inputs the visitor actually chose, sent along with their audit request
+    const roiCalculator = (() => {
+        let latest = null;
+
+        return {
+            set(inputs, result) {
+                latest = { inputs, result };
+            },
+            appendTo(formData) {
+                if (!latest) return formData;
+
+                const { inputs, result } = latest;
+                formData.append('roi_vertical', inputs.vertical);
+                formData.append('roi_ad_budget', String(inputs.adBudget));
+                formData.append('roi_customer_value', String(inputs.customerValue));
+                formData.append('roi_current_customers', String(inputs.currentCustomers));
+                formData.append('roi_projected', `${Math.round(result.roi * 100)}%`);
+                return formData;
             }
-        }, observerOptions);
+        };
+    })();
 
-        sections.forEach(section => {
-            observer.observe(section);
-        });
+    // Availability - open spots and founding-client places come from a JSON file or endpoint so the
+    // scarcity copy can't go stale. If the data can't be loaded (or is for another month), the page
+    // keeps its static text
+    const availabilitySettings = {
+        source: 'data/availability.json',
+        // Re-check while the page stays open, in ms (0 = only on load)
+        refreshInterval: 0
+    };
 
-        return () => observer.disconnect();
+    function configureAvailability(overrides) {
+        Object.assign(availabilitySettings, overrides);
     }
 
-    // 5. Enhanced business type selector with better state management
-    function initBusinessTypeSelector() {
-        const businessTypeCards = document.querySelectorAll('.business-type-card');
-        const businessTypeInput = document.getElementById('business-type');
-        
-        if (!businessTypeInput || businessTypeCards.length === 0) return;
+    const availability = (() => {
+        let data = null;
 
-        function selectBusinessType(selectedCard) {
-            // Remove active from all cards
+        function currentMonth() {
+            const now = new Date();
+            return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        }
+
+        function endOfMonth() {
+            const now = new Date();
+            return new Date(now.getFullYear(), now.getMonth() + 1, 1);
+        }
+
+        // { month?: "2026-10", spotsLeft, closesAt?, foundingClients?: { total, signed } }
+        function normalize(raw) {
+            if (!raw || typeof raw !== 'object') {
+                throw new Error('Availability data should be an object');
+            }
+
+            const spotsLeft = Number(raw.spotsLeft);
+            if (!Number.isFinite(spotsLeft) || spotsLeft < 0) {
+                throw new Error('Availability data needs a spotsLeft count');
+            }
+
+            // Last month's numbers are worse than none
+            if (raw.month && raw.month !== currentMonth()) {
+                throw new Error(`Availability data is for ${raw.month}, not ${currentMonth()}`);
+            }
+
+            const closesAt = raw.closesAt ? new Date(raw.closesAt) : endOfMonth();
+            const founding = raw.foundingClients || {};
+            const foundingTotal = Number(founding.total);
+            const foundingSigned = Number(founding.signed) || 0;
+
+            return {
+                spotsLeft: Math.floor(spotsLeft),
+                waitlist: spotsLeft < 1,
+                closesAt: Number.isNaN(closesAt.getTime()) ? endOfMonth() : closesAt,
+                founding: foundingTotal > 0
+                    ? { total: foundingTotal, remaining: Math.max(0, foundingTotal - foundingSigned) }
+                    : null
+            };
+        }
+
+        async function load() {
+            const response = await fetch(availabilitySettings.source, {
+                headers: { 'Accept': 'application/json' },
+                cache: 'no-cache'
+            });
+            if (!response.ok) {
+                throw new Error(`Availability request failed with status ${response.status}`);
+            }
+
+            data = normalize(await response.json());
+            return data;
+        }
+
+        return {
+            load,
+            get: () => data,
+            isWaitlist: () => Boolean(data && data.waitlist),
+
+            // Tags the lead so waitlist requests can be told apart in the inbox
+            appendTo(formData) {
+                if (data) {
+                    formData.append('availability', data.waitlist ? 'waitlist' : `open:${data.spotsLeft}`);
+                }
+                return formData;
+            }
+        };
+    })();
+
+    // Case studies - the portfolio is rendered from structured data, so a new study is one more JSON
+    // entry rather than another hand-written card. The cards in #work stay if the data can't be loaded
+    const caseStudySettings = {
+        source: 'data/case-studies.json',
+        // 'featured' (file order), 'impact' (biggest improvement) or 'newest'
+        defaultSort: 'featured',
+        // Query parameter that links straight to a case study, e.g. ?case=dental-iowa
+        linkParam: 'case',
+        // Changes and results shown on each card; the detail view lists all of them
+        cardHighlights: 2
+    };
+
+    function configureCaseStudies(overrides) {
+        Object.assign(caseStudySettings, overrides);
+    }
+
+    const CASE_STUDY_SORTS = ['featured', 'impact', 'newest'];
+
+    const caseStudies = (() => {
+        const SLUG = /^[a-z0-9-]+$/;
+        let studies = [];
+
+        // Text fields are either a plain string or one string per locale: { "en": "...", "es": "..." }
+        function localize(value) {
+            if (!value || typeof value !== 'object') return value ? String(value) : '';
+            return value[i18n.getLocale()] || value[i18nSettings.defaultLocale] || Object.values(value)[0] || '';
+        }
+
+        const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+
+        // A metric needs an after value or a reported change; with both before and after the change is derived.
+        // Changes are relative percentages, except for percent metrics where they are percentage points -
+        // a 2% → 12% booking rate is "+10 pts", not "+500%"
+        function normalizeMetric(raw) {
+            if (!raw || !raw.label) return null;
+
+            const unit = raw.unit || 'number';
+            const before = toNumber(raw.before);
+            const after = toNumber(raw.after);
+            let change = toNumber(raw.change);
+            if ([before, after, change].some(value => value !== null && !Number.isFinite(value))) return null;
+
+            if (change === null && before !== null && after !== null) {
+                if (unit === 'percent') {
+                    change = after - before;
+                } else if (before) {
+                    change = ((after - before) / before) * 100;
+                }
+            }
+            if (after === null && change === null) return null;
+
+            return {
+                label: raw.label,
+                before: after === null ? null : before,
+                after,
+                change,
+                changeUnit: unit === 'percent' ? 'points' : 'percent',
+                unit,
+                lowerIsBetter: Boolean(raw.lowerIsBetter)
+            };
+        }
+
+        // { id, vertical, region?, published?: "2026-05", icon?, label?, title, problem, solution,
+        //   changes?: [{ type, text }], metrics?: [{ label, before?, after?, change?, unit?, lowerIsBetter? }] }
+        function normalize(raw, index) {
+            if (!raw || typeof raw !== 'object' || !raw.title) {
+                throw new Error(`Case study ${index + 1} needs a title`);
+            }
+            if (!SLUG.test(raw.id || '') || !SLUG.test(raw.vertical || '')) {
+                throw new Error(`Case study ${index + 1} needs an id and vertical made of lowercase letters, numbers and dashes`);
+            }
+
+            const metrics = (Array.isArray(raw.metrics) ? raw.metrics : []).map(normalizeMetric).filter(Boolean);
+            const improvements = metrics
+                .filter(metric => metric.change !== null)
+                .map(metric => (metric.lowerIsBetter ? -metric.change : metric.change));
+
+            return {
+                id: raw.id,
+                vertical: raw.vertical,
+                region: raw.region || '',
+                published: /^\d{4}-\d{2}$/.test(raw.published || '') ? raw.published : '',
+                icon: /^fa-[a-z0-9-]+$/.test(raw.icon || '') ? raw.icon : 'fa-chart-line',
+                label: raw.label || '',
+                title: raw.title,
+                problem: raw.problem || '',
+                solution: raw.solution || '',
+                changes: (Array.isArray(raw.changes) ? raw.changes : []).filter(change => change && change.text),
+                metrics,
+                order: index,
+                impact: Math.max(0, ...improvements)
+            };
+        }
+
+        const sorters = {
+            featured: (a, b) => a.order - b.order,
+            impact: (a, b) => b.impact - a.impact || a.order - b.order,
+            newest: (a, b) => b.published.localeCompare(a.published) || a.order - b.order
+        };
+
+        async function load() {
+            const response = await fetch(caseStudySettings.source, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) {
+                throw new Error(`Case studies request failed with status ${response.status}`);
+            }
+
+            const raw = await response.json();
+            if (!Array.isArray(raw) || raw.length === 0) {
+                throw new Error('Case study data should be a non-empty array');
+            }
+
+            const loaded = raw.map(normalize);
+            const duplicate = loaded.find((study, index) => loaded.findIndex(other => other.id === study.id) !== index);
+            if (duplicate) {
+                throw new Error(`Case study id "${duplicate.id}" is used more than once`);
+            }
+
+            studies = loaded;
+            return studies;
+        }
+
+        return {
+            load,
+            localize,
+            get: id => studies.find(study => study.id === id) || null,
+            // In the order each vertical first appears, for the filter buttons
+            getVerticals: () => [...new Set(studies.map(study => study.vertical))],
+            // prefer: a vertical to lead with - only in the featured order, a chosen sort wins
+            list({ vertical = 'all', sort = 'featured', prefer = null } = {}) {
+                const sorter = sorters[sort] || sorters.featured;
+                const leads = study => (sorter === sorters.featured && study.vertical === prefer ? 1 : 0);
+                return studies
+                    .filter(study => vertical === 'all' || study.vertical === vertical)
+                    .sort((a, b) => leads(b) - leads(a) || sorter(a, b));
+            }
+        };
+    })();
+
+    // FAQ - the #faq questions become an accordion with search and a link per question
+    const faqSettings = {
+        // Close the other answers when one opens (this also hides "Expand all")
+        singleOpen: false,
+        // Pause after typing before the list is filtered, in ms
+        searchDelay: 150
+    };
+
+    function configureFaq(overrides) {
+        Object.assign(faqSettings, overrides);
+    }
+
+    // Storage wrapper - private mode and full quotas throw, so never let them break the page
+    function createStorage(type) {
+        function getArea() {
+            try {
+                return window[type] || null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        return {
+            get(key, fallback = null) {
+                const area = getArea();
+                if (!area) return fallback;
+                try {
+                    const raw = area.getItem(key);
+                    return raw === null ? fallback : JSON.parse(raw);
+                } catch (e) {
+                    return fallback;
+                }
+            },
+            set(key, value) {
+                const area = getArea();
+                if (!area) return false;
+                try {
+                    area.setItem(key, JSON.stringify(value));
+                    return true;
+                } catch (e) {
+                    return false;
+                }
+            },
+            remove(key) {
+                const area = getArea();
+                if (!area) return;
+                try {
+                    area.removeItem(key);
+                } catch (e) {}
+            }
+        };
+    }
+
+    const localStore = createStorage('localStorage');
+    const sessionStore = createStorage('sessionStorage');
+
+    // i18n - runtime strings live in catalogs keyed by id; the page's own English copy is the
+    // default, and elements marked data-i18n / data-i18n-html / data-i18n-attr swap in other locales.
+    // Locale: ?lang= (remembered), then the saved choice, then the browser's languages
+    const LOCALE_KEY = 'armanleads:lang';
+
+    const i18nSettings = {
+        defaultLocale: 'en',
+        locales: ['en', 'es'],
+        // Catalogs for everything but the default locale are fetched from here
+        path: 'locales/{locale}.json'
+    };
+
+    function configureI18n(overrides) {
+        Object.assign(i18nSettings, overrides);
+    }
+
+    // Messages are strings with {placeholders}, or { one, other, ... } keyed by plural category of {count}
+    const i18nMessages = {
+        en: {
+            'validation.required': '{label} is required',
+            'validation.minLength': {
+                one: 'Must be at least {count} character',
+                other: 'Must be at least {count} characters'
+            },
+            'validation.maxLength': {
+                one: 'Must be {count} character or fewer',
+                other: 'Must be {count} characters or fewer'
+            },
+            'validation.pattern': 'Please enter a valid {label}',
+            'validation.match': '{label} must match {matchLabel}',
+            'validation.custom': 'Please check {label}',
+            'validation.async': 'Please check {label}',
+            'validation.phone': 'Please enter a valid phone number',
+            'validation.urlUnreachable': 'That website doesn\'t seem to load - please double-check the address',
+            'validation.label.name': 'Name',
+            'validation.label.email': 'Email',
+            'validation.name.invalid': 'Please enter a valid name',
+            'validation.email.invalid': 'Please enter a valid email address',
+            'validation.website.invalid': 'Please enter a valid URL (including http:// or https://)',
+            'validation.chairCount.invalid': 'Please enter a number of chairs',
+            'validation.chairCount.required': 'Please tell me how many chairs you have',
+            'validation.wholeNumber': 'Please enter a whole number',
+            'validation.trialOffer.required': 'Please choose your current trial offer',
+            'validation.vertical.required': 'Please tell me what type of business you run',
+            'form.sending': 'Sending...',
+            'form.success': 'Perfect! Your detailed marketing audit will arrive within 24 hours.',
+            'form.sent': 'Audit request sent',
+            'form.queuedTitle': 'Audit request saved',
+            'form.queued': 'Your connection dropped, so I\'ll send your audit request automatically as soon as you\'re back online.',
+            'form.failed': 'Your audit request wasn\'t sent',
+            'form.error': 'There was an error sending your message. Please try again or contact us directly at {email}',
+            'form.dropped': 'A saved audit request couldn\'t be delivered. Please send it again or email me at {email}',
+            'wizard.status': 'Step {step} of {total}',
+            'roi.monthlyCost': '{discounted}/mo for the first {months} months, then {full}/mo',
+            'roi.monthlyCostFull': '{full}/mo',
+            'availability.spots': {
+                one: '⚠️ Only {count} spot left this month (medical school limits my capacity)',
+                other: '⚠️ Only {count} spots left this month (medical school limits my capacity)'
+            },
+            'availability.taking': {
+                one: '📅 Taking on {count} new client this month (medical school limits my capacity)',
+                other: '📅 Taking on {count} new clients this month (medical school limits my capacity)'
+            },
+            'availability.waitlist': '📋 This month is full - join the waitlist for a spot in {month}',
+            'availability.closesInDays': {
+                one: 'This month\'s spots close in {count} day',
+                other: 'This month\'s spots close in {count} days'
+            },
+            'availability.closesInHours': {
+                one: 'This month\'s spots close in {count} hour',
+                other: 'This month\'s spots close in {count} hours'
+            },
+            'pricing.founding.titleCount': 'Be One of My First {total} US Clients',
+            'pricing.founding.remaining': {
+                one: 'Only {count} founding spot left',
+                other: '{count} of {total} founding spots left'
+            },
+            'pricing.founding.closed': 'Founding spots are all taken - standard pricing applies',
+            'form.submit': 'Send My Free Audit',
+            'form.submitWaitlist': 'Join the Waitlist',
+            'hero.headline.dental': 'Fill Your Chairs with 15+ New Patients a Month',
+            'hero.headline.fitness': 'Turn Website Visitors into 20+ Trial Signups a Month',
+            'hero.subtitle.dental': 'I help dental practices get 15+ new patients monthly with ads and booking pages built around how patients actually choose a dentist.',
+            'hero.subtitle.fitness': 'I help gyms and fitness studios turn clicks into trial classes, and trial classes into paying members, using systems that actually work.',
+            'services.facebook.result1.dental': '<strong>Result:</strong> 15+ new patient bookings monthly',
+            'services.facebook.result1.fitness': '<strong>Result:</strong> 20+ trial class signups monthly',
+            'services.landing.result1.dental': '<strong>Result:</strong> New patient specials converting at 25%+',
+            'services.landing.result1.fitness': '<strong>Result:</strong> Free trial pages converting at 25%+',
+            'services.followUp.result1.dental': '<strong>Result:</strong> 80%+ show-up rate for new patient exams',
+            'services.followUp.result1.fitness': '<strong>Result:</strong> More trial members staying on as paying members',
+            'faq.expandAll': 'Expand all',
+            'faq.collapseAll': 'Collapse all',
+            'faq.results': {
+                one: '{count} question matches',
+                other: '{count} questions match'
+            },
+            'faq.noResults': 'No questions match "{query}". Ask me directly in your free audit request.',
+            'work.badge': 'Strategy Sample',
+            'work.problemLabel': 'Problem:',
+            'work.solutionLabel': 'Solution:',
+            'work.resultLabel': 'Result:',
+            'work.change.changed': 'Changed:',
+            'work.change.added': 'Added:',
+            'work.change.removed': 'Removed:',
+            'work.change.moved': 'Moved:',
+            'work.change.simplified': 'Simplified:',
+            'work.metric.line': '{label}: {value}',
+            'work.metric.beforeAfter': '{before} → {after} ({change})',
+            'work.metric.points': {
+                one: '{change} pt',
+                other: '{change} pts'
+            },
+            'work.viewCase': 'Read the full case study',
+            'work.filter.all': 'All',
+            'work.vertical.dental': 'Dental',
+            'work.vertical.fitness': 'Fitness',
+            'work.vertical.chiro': 'Chiropractic',
+            'work.showing': {
+                one: 'Showing {count} case study',
+                other: 'Showing {count} case studies'
+            },
+            'work.notFound': 'That case study isn\'t available any more - here are the others',
+            'calendar.loading': 'Loading calendar...',
+            'calendar.loadError': 'Unable to load calendar. Please try refreshing the page or contact us directly.',
+            'calendar.slow': 'Taking longer than expected...',
+            'calendar.refresh': 'Refresh Page',
+            'calendar.embedConsent': 'The booking calendar is provided by {provider}, which may set its own cookies.',
+            'calendar.allow': 'Load the calendar',
+            'calendar.emailInstead': 'Prefer email?',
+            'toast.region': 'Notifications',
+            'toast.dismiss': 'Dismiss notification',
+            'toast.retry': 'Try again',
+            'toast.reload': 'Reload page',
+            'toast.copyEmail': 'Copy email address',
+            'toast.emailCopied': '{email} copied to your clipboard',
+            'toast.unexpected': 'Something on this page didn\'t work. Reloading usually fixes it.'
+        }
+    };
+
+    const i18n = (() => {
+        // null until setLocale runs - the page then shows its own markup, in the language <html lang>
+        // declares. The configured default is only read once config has been merged (detect, lookups)
+        let locale = null;
+
+        function getLocale() {
+            return locale || document.documentElement.getAttribute('lang') || i18nSettings.defaultLocale;
+        }
+        const listeners = [];
+        // Original markup of every translated element, so switching back to the default restores it
+        const originals = new Map();
+
+        function isSupported(candidate) {
+            return i18nSettings.locales.includes(candidate);
+        }
+
+        function detect() {
+            const requested = new URLSearchParams(window.location.search).get('lang');
+            if (requested && isSupported(requested.toLowerCase())) {
+                localStore.set(LOCALE_KEY, requested.toLowerCase());
+                return requested.toLowerCase();
+            }
+
+            const saved = localStore.get(LOCALE_KEY, null);
+            if (saved && isSupported(saved)) return saved;
+
+            const preferred = (navigator.languages || [navigator.language || ''])
+                .map(language => String(language).toLowerCase().split('-')[0])
+                .find(isSupported);
+            return preferred || i18nSettings.defaultLocale;
+        }
+
+        function lookup(key, lang) {
+            const catalog = i18nMessages[lang];
+            return catalog && Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : undefined;
+        }
+
+        function has(key) {
+            return lookup(key, getLocale()) !== undefined || lookup(key, i18nSettings.defaultLocale) !== undefined;
+        }
+
+        // Unknown keys come back as-is, so literal messages (e.g. from data-validate-*-message) still work
+        function t(key, params = {}) {
+            let message = lookup(key, getLocale());
+            if (message === undefined) message = lookup(key, i18nSettings.defaultLocale);
+            if (message === undefined) message = key;
+
+            if (message && typeof message === 'object') {
+                const category = 'count' in params && window.Intl && Intl.PluralRules
+                    ? new Intl.PluralRules(getLocale()).select(Number(params.count))
+                    : 'other';
+                message = message[category] || message.other || '';
+            }
+            return formatMessage(String(message), params);
+        }
+
+        async function load(lang) {
+            if (i18nMessages[lang]) return;
+
+            const response = await fetch(i18nSettings.path.replace('{locale}', lang), {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) {
+                throw new Error(`Could not load "${lang}" messages (${response.status})`);
+            }
+            i18nMessages[lang] = await response.json();
+        }
+
+        function remember(element) {
+            if (originals.has(element)) return originals.get(element);
+
+            const original = { html: element.innerHTML, attrs: {} };
+            (element.getAttribute('data-i18n-attr') || '').split(';').forEach(pair => {
+                const [attr] = pair.split(':').map(part => part.trim());
+                if (attr) original.attrs[attr] = element.getAttribute(attr);
+            });
+            originals.set(element, original);
+            return original;
+        }
+
+        // root is the document or an element, which is translated along with everything inside it
+        function translatePage(root = document) {
+            const selector = '[data-i18n], [data-i18n-html], [data-i18n-attr]';
+            const elements = Array.from(root.querySelectorAll(selector));
+            if (root.matches && root.matches(selector)) elements.unshift(root);
+
+            elements.forEach(element => {
+                const original = remember(element);
+                const textKey = element.getAttribute('data-i18n');
+                const htmlKey = element.getAttribute('data-i18n-html');
+
+                if (textKey || htmlKey) {
+                    const message = lookup(textKey || htmlKey, getLocale());
+                    if (message === undefined) {
+                        element.innerHTML = original.html;
+                    } else if (textKey) {
+                        element.textContent = message;
+                    } else {
+                        // Catalogs are first-party files, so their inline markup is trusted
+                        element.innerHTML = message;
+                    }
+                }
+
+                (element.getAttribute('data-i18n-attr') || '').split(';').forEach(pair => {
+                    const [attr, key] = pair.split(':').map(part => part && part.trim());
+                    if (!attr || !key) return;
+
+                    const message = lookup(key, getLocale());
+                    const value = message === undefined ? original.attrs[attr] : message;
+                    if (value === null || value === undefined) {
+                        element.removeAttribute(attr);
+                    } else {
+                        element.setAttribute(attr, value);
+                    }
+                });
+            });
+        }
+
+        async function setLocale(next, { persist = true } = {}) {
+            if (!isSupported(next)) {
+                throw new Error(`Unsupported locale "${next}"`);
+            }
+
+            await load(next);
+            locale = next;
+            if (persist) localStore.set(LOCALE_KEY, next);
+
+            document.documentElement.setAttribute('lang', next);
+            translatePage();
+            listeners.forEach(listener => listener(next));
+        }
+
+        function onChange(listener) {
+            listeners.push(listener);
+            return () => {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        }
+
+        return {
+            t,
+            has,
+            detect,
+            setLocale,
+            onChange,
+            translatePage,
+            getLocale
+        };
+    })();
+
+    // Toasts - stacked, non-blocking notifications. Each one is announced through a live region
+    // (assertive for errors), can carry action buttons and pauses its timer on hover or focus
+    const TOAST_TYPES = ['info', 'success', 'warning', 'error'];
+
+    const toastSettings = {
+        duration: 6000,
+        // 0 keeps the toast up until it's dismissed - errors usually offer an action
+        errorDuration: 0,
+        maxVisible: 3
+    };
+
+    function configureToasts(overrides) {
+        Object.assign(toastSettings, overrides);
+    }
+
+    const toasts = (() => {
+        const icons = {
+            info: 'fa-info-circle',
+            success: 'fa-check-circle',
+            warning: 'fa-exclamation-triangle',
+            error: 'fa-exclamation-circle'
+        };
+        const visible = [];
+        const liveRegions = {};
+        let region = null;
+        let counter = 0;
+
+        function createLiveRegion(politeness) {
+            const element = document.createElement('div');
+            element.className = 'sr-only';
+            element.setAttribute('aria-live', politeness);
+            element.setAttribute('aria-atomic', 'true');
+            return element;
+        }
+
+        // Live regions have to be in the document before their text changes to be announced
+        function mount() {
+            if (region && region.isConnected) return region;
+
+            region = document.createElement('div');
+            region.className = 'toast-region';
+            region.setAttribute('role', 'region');
+            region.setAttribute('aria-label', i18n.t('toast.region'));
+            // Toasts stay usable while a modal has the rest of the page inert
+            region.setAttribute('data-dialog-exempt', '');
+
+            liveRegions.polite = createLiveRegion('polite');
+            liveRegions.assertive = createLiveRegion('assertive');
+            region.append(liveRegions.polite, liveRegions.assertive);
+            document.body.appendChild(region);
+            return region;
+        }
+
+        function announce(text, politeness = 'polite') {
+            mount();
+            const liveRegion = liveRegions[politeness] || liveRegions.polite;
+
+            // Clearing first makes screen readers repeat an identical message
+            liveRegion.textContent = '';
+            setTimeout(() => {
+                liveRegion.textContent = text;
+            }, 100);
+        }
+
+        function find(id) {
+            return visible.find(toast => toast.id === id);
+        }
+
+        i18n.onChange(() => {
+            if (region) region.setAttribute('aria-label', i18n.t('toast.region'));
+        });
+
+        function dismiss(id) {
+            const toast = find(id);
+            if (!toast) return;
+
+            clearTimeout(toast.timer);
+            visible.splice(visible.indexOf(toast), 1);
+
+            // Don't strand keyboard users on a removed button
+            const hadFocus = toast.element.contains(document.activeElement);
+            toast.element.remove();
+            if (hadFocus && toast.returnFocus && toast.returnFocus.isConnected) {
+                toast.returnFocus.focus();
+            }
+        }
+
+        function startTimer(toast) {
+            if (!toast.remaining || toast.timer) return;
+
+            toast.startedAt = Date.now();
+            toast.timer = setTimeout(() => dismiss(toast.id), toast.remaining);
+        }
+
+        function pauseTimer(toast) {
+            if (!toast.timer) return;
+
+            clearTimeout(toast.timer);
+            toast.timer = null;
+            toast.remaining = Math.max(1000, toast.remaining - (Date.now() - toast.startedAt));
+        }
+
+        function renderAction(toast, action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                Promise.resolve()
+                    .then(() => action.onClick && action.onClick())
+                    .catch(error => handleError(error, 'Toast Action'));
+
+                if (action.dismiss !== false) dismiss(toast.id);
+            });
+            return button;
+        }
+
+        // Showing a toast with the id of one that's already up replaces it instead of stacking
+        function show({ type = 'info', title = '', message = '', actions = [], duration, id } = {}) {
+            const toastType = TOAST_TYPES.includes(type) ? type : 'info';
+            const toastId = id || `toast-${++counter}`;
+            dismiss(toastId);
+            mount();
+
+            const element = document.createElement('div');
+            element.className = `toast toast-${toastType}`;
+            element.setAttribute('data-toast-id', toastId);
+            element.innerHTML = `
+                <i class="fas ${icons[toastType]} toast-icon" aria-hidden="true"></i>
+                <div class="toast-body">
+                    ${title ? '<p class="toast-title"></p>' : ''}
+                    <p class="toast-message"></p>
+                </div>
+                <button type="button" class="toast-close">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            `;
+            if (title) element.querySelector('.toast-title').textContent = title;
+            element.querySelector('.toast-message').textContent = message;
+
+            const closeButton = element.querySelector('.toast-close');
+            closeButton.setAttribute('aria-label', i18n.t('toast.dismiss'));
+            closeButton.addEventListener('click', () => dismiss(toastId));
+
+            const toast = {
+                id: toastId,
+                element,
+                timer: null,
+                startedAt: 0,
+                remaining: duration !== undefined
+                    ? duration
+                    : toastType === 'error' ? toastSettings.errorDuration : toastSettings.duration,
+                returnFocus: document.activeElement
+            };
+
+            if (actions.length > 0) {
+                const actionList = document.createElement('div');
+                actionList.className = 'toast-actions';
+                actions.forEach(action => actionList.appendChild(renderAction(toast, action)));
+                element.querySelector('.toast-body').appendChild(actionList);
+            }
+
+            // Reading or reaching for a button shouldn't race the timer
+            element.addEventListener('mouseenter', () => pauseTimer(toast));
+            element.addEventListener('mouseleave', () => {
+                if (!element.contains(document.activeElement)) startTimer(toast);
+            });
+            element.addEventListener('focusin', () => pauseTimer(toast));
+            element.addEventListener('focusout', (e) => {
+                if (!element.contains(e.relatedTarget) && !element.matches(':hover')) startTimer(toast);
+            });
+            element.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    dismiss(toastId);
+                }
+            });
+
+            visible.push(toast);
+            region.appendChild(element);
+            while (visible.length > toastSettings.maxVisible) {
+                dismiss(visible[0].id);
+            }
+
+            announce([title, message].filter(Boolean).join('. '), toastType === 'error' ? 'assertive' : 'polite');
+            startTimer(toast);
+
+            return { id: toastId, dismiss: () => dismiss(toastId) };
+        }
+
+        const shortcut = (type) => (message, options = {}) => show({ ...options, type, message });
+
+        return {
+            show,
+            dismiss,
+            announce,
+            has: (id) => Boolean(find(id)),
+            mount,
+            info: shortcut('info'),
+            success: shortcut('success'),
+            warning: shortcut('warning'),
+            error: shortcut('error')
+        };
+    })();
+
+    // Shared "email me instead" action for error toasts - falls back to a mailto link without clipboard access
+    function copyEmailAction() {
+        return {
+            label: i18n.t('toast.copyEmail'),
+            onClick: async () => {
+                try {
+                    await navigator.clipboard.writeText(siteSettings.contactEmail);
+                    toasts.success(i18n.t('toast.emailCopied', { email: siteSettings.contactEmail }), { id: 'email-copied' });
+                } catch (error) {
+                    window.location.href = `mailto:${siteSettings.contactEmail}`;
+                }
+            }
+        };
+    }
+
+    // Error reporter - keeps a breadcrumb trail of what the visitor did, fingerprints each error so
+    // repeats only bump a counter, rate-limits the rest and batches reports to an endpoint via sendBeacon.
+    // Like every other report that leaves the browser, nothing is sent without analytics consent
+    const errorReportSettings = {
+        // Where batches are POSTed; without one errors stay in the console
+        endpoint: null,
+        maxBreadcrumbs: 30,
+        // Repeats of the same error inside this window only increase its count
+        dedupeWindow: 60000,
+        maxReportsPerMinute: 5,
+        maxReportsPerPage: 20,
+        batchDelay: 5000,
+        maxBatchSize: 10
+    };
+
+    function configureErrorReporting(overrides) {
+        Object.assign(errorReportSettings, overrides);
+    }
+
+    const errorReporter = (() => {
+        const breadcrumbs = [];
+        const queue = [];
+        // fingerprint -> { report, reportedAt }
+        const seen = new Map();
+        const sentAt = [];
+        let totalReports = 0;
+        let dropped = 0;
+        let flushTimer = null;
+
+        function truncate(value, length = 200) {
+            const text = String(value);
+            return text.length > length ? `${text.slice(0, length)}…` : text;
+        }
+
+        function addBreadcrumb(category, message, data) {
+            breadcrumbs.push({
+                timestamp: new Date().toISOString(),
+                category,
+                message: truncate(message, 120),
+                ...(data ? { data } : {})
+            });
+            if (breadcrumbs.length > errorReportSettings.maxBreadcrumbs) {
+                breadcrumbs.splice(0, breadcrumbs.length - errorReportSettings.maxBreadcrumbs);
+            }
+        }
+
+        function getEnvironment() {
+            const connection = navigator.connection || {};
+            return {
+                // Query strings can carry prefill details, so only the page itself is reported
+                page: window.location.origin + window.location.pathname,
+                viewport: `${window.innerWidth}x${window.innerHeight}`,
+                screen: window.screen ? `${window.screen.width}x${window.screen.height}` : undefined,
+                pixelRatio: window.devicePixelRatio,
+                connection: connection.effectiveType
+                    ? {
+                        effectiveType: connection.effectiveType,
+                        downlink: connection.downlink,
+                        rtt: connection.rtt,
+                        saveData: Boolean(connection.saveData)
+                    }
+                    : undefined,
+                online: navigator.onLine,
+                language: navigator.language,
+                locale: i18n.getLocale(),
+                userAgent: navigator.userAgent,
+                visibility: document.visibilityState
+            };
+        }
+
+        // Anything can be thrown or rejected - turn it into something with a message and a stack
+        function normalize(error) {
+            // Duck-typed so errors from other realms (iframes, workers) keep their stack
+            if (error && typeof error === 'object' && typeof error.message === 'string') {
+                return { name: error.name || 'Error', message: error.message, stack: String(error.stack || '') };
+            }
+            return { name: 'NonError', message: truncate(error === undefined ? 'undefined' : String(error)), stack: '' };
+        }
+
+        function getFingerprint(context, normalized) {
+            const topFrame = normalized.stack.split('\n').find(line => /\d+:\d+/.test(line)) || '';
+            return hashString(`${context}|${normalized.name}|${normalized.message}|${topFrame.trim()}`).toString(36);
+        }
+
+        // Every string in extra, however deeply nested
+        function scrubExtra(value) {
+            if (typeof value === 'string') return scrubPii(value);
+            if (Array.isArray(value)) return value.map(scrubExtra);
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrubExtra(item)]));
+            }
+            return value;
+        }
+
+        function enqueue(report) {
+            queue.push(report);
+            if (queue.length >= errorReportSettings.maxBatchSize) {
+                flush();
+            } else if (!flushTimer) {
+                flushTimer = setTimeout(flush, errorReportSettings.batchDelay);
+            }
+        }
+
+        function isRateLimited(now) {
+            while (sentAt.length && now - sentAt[0] > 60000) sentAt.shift();
+            return sentAt.length >= errorReportSettings.maxReportsPerMinute
+                || totalReports >= errorReportSettings.maxReportsPerPage;
+        }
+
+        function capture(error, context = 'Unknown', extra) {
+            const now = Date.now();
+            const normalized = normalize(error);
+            const fingerprint = getFingerprint(context, normalized);
+
+            const previous = seen.get(fingerprint);
+            if (previous && now - previous.reportedAt < errorReportSettings.dedupeWindow) {
+                // Once a report has gone out, repeats start a fresh copy counting from one so they still get sent
+                if (!queue.includes(previous.report)) {
+                    previous.report = { ...previous.report, count: 0 };
+                    enqueue(previous.report);
+                }
+                previous.report.count += 1;
+                previous.report.lastSeen = new Date(now).toISOString();
+                return previous.report;
+            }
+
+            if (isRateLimited(now)) {
+                dropped += 1;
+                return null;
+            }
+
+            const report = {
+                fingerprint,
+                context,
+                ...normalized,
+                // Validation and request errors can quote what was typed into a form
+                message: scrubPii(normalized.message),
+                stack: truncate(scrubPii(normalized.stack), 4000),
+                count: 1,
+                firstSeen: new Date(now).toISOString(),
+                lastSeen: new Date(now).toISOString(),
+                ...(extra ? { extra: scrubExtra(extra) } : {}),
+                breadcrumbs: breadcrumbs.slice(),
+                environment: getEnvironment()
+            };
+
+            seen.set(fingerprint, { report, reportedAt: now });
+            sentAt.push(now);
+            totalReports += 1;
+            enqueue(report);
+            return report;
+        }
+
+        // Reports wait in the queue until there's an endpoint and consent to use it
+        function flush() {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+
+            const { endpoint } = errorReportSettings;
+            if (!endpoint || queue.length === 0 || !consent.has('analytics')) return false;
+
+            const payload = JSON.stringify({
+                reports: queue.splice(0, queue.length),
+                dropped,
+                sentAt: new Date().toISOString()
+            });
+            dropped = 0;
+
+            // text/plain keeps the beacon a simple request, so cross-origin collectors need no preflight
+            const body = new Blob([payload], { type: 'text/plain;charset=UTF-8' });
+            if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return true;
+
+            fetch(endpoint, { method: 'POST', body: payload, keepalive: true, headers: { 'Content-Type': 'text/plain;charset=UTF-8' } })
+                .catch(e => console.error('ArmanLeads error report failed:', e));
+            return true;
+        }
+
+        return {
+            capture,
+            addBreadcrumb,
+            flush,
+            getBreadcrumbs: () => breadcrumbs.slice(),
+            getQueue: () => queue.slice()
+        };
+    })();
+
+    // Real-user monitoring - Core Web Vitals (LCP, INP, CLS, FCP, TTFB) and long tasks measured with
+    // PerformanceObserver directly, no CDN library. Page views are sampled; metrics are batched and sent
+    // with sendBeacon when the page is hidden, and only with analytics consent
+    const vitalsSettings = {
+        // Where batches are POSTed; without one metrics are only kept in memory
+        endpoint: null,
+        // Share of page views measured (0-1)
+        sampleRate: 1,
+        maxLongTasks: 20
+    };
+
+    function configureVitals(overrides) {
+        Object.assign(vitalsSettings, overrides);
+    }
+
+    // [good, needs-improvement] upper bounds, as published at web.dev/vitals
+    const VITALS_THRESHOLDS = {
+        LCP: [2500, 4000],
+        INP: [200, 500],
+        CLS: [0.1, 0.25],
+        FCP: [1800, 3000],
+        TTFB: [800, 1800]
+    };
+
+    const webVitals = (() => {
+        const metrics = {};
+        const reported = {};
+        const longTasks = [];
+        let sampled = false;
+        let started = false;
+
+        function describeElement(node) {
+            if (!node || node.nodeType !== 1) return undefined;
+
+            const parts = [];
+            let element = node;
+            while (element && element.nodeType === 1 && parts.length < 3) {
+                if (element.id) {
+                    parts.unshift(`#${element.id}`);
+                    break;
+                }
+                const classes = Array.from(element.classList).slice(0, 2).map(name => `.${name}`).join('');
+                parts.unshift(element.tagName.toLowerCase() + classes);
+                element = element.parentElement;
+            }
+            return parts.join(' > ');
+        }
+
+        function getNavigationEntry() {
+            return performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+        }
+
+        // Prerendered pages start counting when they're shown, not when they were fetched
+        function getActivationStart() {
+            const navigation = getNavigationEntry();
+            return (navigation && navigation.activationStart) || 0;
+        }
+
+        function rate(name, value) {
+            const [good, poor] = VITALS_THRESHOLDS[name];
+            if (value <= good) return 'good';
+            return value <= poor ? 'needs-improvement' : 'poor';
+        }
+
+        function record(name, value, attribution) {
+            metrics[name] = {
+                name,
+                value: name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value),
+                rating: rate(name, value),
+                attribution
+            };
+        }
+
+        function observe(type, callback, options = {}) {
+            if (!('PerformanceObserver' in window)) return null;
+            try {
+                const observer = new PerformanceObserver(list => callback(list.getEntries()));
+                observer.observe({ type, buffered: true, ...options });
+                return observer;
+            } catch (e) {
+                // Entry type not supported in this browser
+                return null;
+            }
+        }
+
+        function observeTTFB() {
+            const navigation = getNavigationEntry();
+            if (!navigation) return;
+
+            record('TTFB', Math.max(0, navigation.responseStart - getActivationStart()), {
+                dns: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+                connect: Math.round(navigation.connectEnd - navigation.connectStart),
+                request: Math.round(navigation.responseStart - navigation.requestStart)
+            });
+        }
+
+        function observeFCP() {
+            observe('paint', entries => {
+                const entry = entries.find(item => item.name === 'first-contentful-paint');
+                if (entry) record('FCP', Math.max(0, entry.startTime - getActivationStart()));
+            });
+        }
+
+        // The candidate stops changing once the visitor interacts or leaves
+        function observeLCP() {
+            let finalized = false;
+            const handleEntries = entries => {
+                if (finalized) return;
+                const entry = entries[entries.length - 1];
+                if (!entry) return;
+
+                record('LCP', Math.max(0, entry.startTime - getActivationStart()), {
+                    element: describeElement(entry.element),
+                    url: entry.url || undefined,
+                    size: entry.size
+                });
+            };
+            const observer = observe('largest-contentful-paint', handleEntries);
+            if (!observer) return;
+
+            const finalize = () => {
+                if (finalized) return;
+                handleEntries(observer.takeRecords());
+                finalized = true;
+                observer.disconnect();
+            };
+            ['keydown', 'pointerdown'].forEach(type => {
+                window.addEventListener(type, finalize, { once: true, capture: true });
+            });
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') finalize();
+            });
+        }
+
+        // Largest session window of shifts (at most 1s apart, 5s long) not caused by input
+        function observeCLS() {
+            let sessionValue = 0;
+            let sessionEntries = [];
+            let maxValue = 0;
+
+            const observer = observe('layout-shift', entries => {
+                entries.forEach(entry => {
+                    if (entry.hadRecentInput) return;
+
+                    const first = sessionEntries[0];
+                    const last = sessionEntries[sessionEntries.length - 1];
+                    if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                        sessionValue += entry.value;
+                        sessionEntries.push(entry);
+                    } else {
+                        sessionValue = entry.value;
+                        sessionEntries = [entry];
+                    }
+
+                    if (sessionValue > maxValue) {
+                        maxValue = sessionValue;
+                        const largest = sessionEntries.reduce((a, b) => (b.value > a.value ? b : a));
+                        const source = (largest.sources || []).find(item => item.node) || {};
+                        record('CLS', maxValue, {
+                            element: describeElement(source.node),
+                            time: Math.round(largest.startTime)
+                        });
+                    }
+                });
+            });
+
+            // A page that never shifts still has a score
+            if (observer && !metrics.CLS) record('CLS', 0);
+        }
+
+        // INP - roughly the 98th percentile of interaction latency, from Event Timing entries
+        function observeINP() {
+            const interactions = new Map();
+
+            const handleEntries = entries => {
+                entries.forEach(entry => {
+                    if (!entry.interactionId) return;
+
+                    const existing = interactions.get(entry.interactionId);
+                    if (existing && existing.duration >= entry.duration) return;
+                    interactions.set(entry.interactionId, entry);
+                });
+                if (interactions.size === 0) return;
+
+                const sorted = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+                const entry = sorted[Math.min(sorted.length - 1, Math.floor(interactions.size / 50))];
+                record('INP', entry.duration, {
+                    element: describeElement(entry.target),
+                    eventType: entry.name,
+                    inputDelay: Math.round(entry.processingStart - entry.startTime),
+                    processingTime: Math.round(entry.processingEnd - entry.processingStart),
+                    presentationDelay: Math.round(entry.startTime + entry.duration - entry.processingEnd)
+                });
+            };
+
+            observe('event', handleEntries, { durationThreshold: 40 });
+            observe('first-input', handleEntries);
+        }
+
+        function observeLongTasks() {
+            observe('longtask', entries => {
+                entries.forEach(entry => {
+                    if (longTasks.length >= vitalsSettings.maxLongTasks) return;
+
+                    const [source = {}] = entry.attribution || [];
+                    longTasks.push({
+                        start: Math.round(entry.startTime),
+                        duration: Math.round(entry.duration),
+                        // 'window' means this page; iframes show which embed was busy
+                        container: source.containerType || undefined,
+                        containerSrc: source.containerSrc || undefined,
+                        containerName: source.containerName || undefined
+                    });
+                });
+            });
+        }
+
+        function start() {
+            if (started) return sampled;
+            started = true;
+
+            sampled = Math.random() < vitalsSettings.sampleRate;
+            if (!sampled || !window.performance) return false;
+
+            observeTTFB();
+            observeFCP();
+            observeLCP();
+            observeCLS();
+            observeINP();
+            observeLongTasks();
+            return true;
+        }
+
+        // Each hide sends whatever changed since the last one (CLS and INP keep growing on bfcache restores)
+        function flush() {
+            if (!sampled || !vitalsSettings.endpoint || !consent.has('analytics')) return false;
+
+            const changed = Object.values(metrics).filter(metric => reported[metric.name] !== metric.value);
+            const tasks = longTasks.splice(0, longTasks.length);
+            if (changed.length === 0 && tasks.length === 0) return false;
+
+            changed.forEach(metric => {
+                reported[metric.name] = metric.value;
+            });
+
+            const navigation = getNavigationEntry();
+            const connection = navigator.connection || {};
+            const payload = JSON.stringify({
+                page: window.location.origin + window.location.pathname,
+                navigationType: navigation ? navigation.type : undefined,
+                effectiveType: connection.effectiveType,
+                deviceMemory: navigator.deviceMemory,
+                viewport: `${window.innerWidth}x${window.innerHeight}`,
+                sampleRate: vitalsSettings.sampleRate,
+                metrics: changed,
+                longTasks: tasks,
+                sentAt: new Date().toISOString()
+            });
+
+            // Same simple-request beacon as the error reporter
+            const body = new Blob([payload], { type: 'text/plain;charset=UTF-8' });
+            if (navigator.sendBeacon && navigator.sendBeacon(vitalsSettings.endpoint, body)) return true;
+
+            fetch(vitalsSettings.endpoint, { method: 'POST', body: payload, keepalive: true, headers: { 'Content-Type': 'text/plain;charset=UTF-8' } })
+                .catch(e => console.error('ArmanLeads vitals report failed:', e));
+            return true;
+        }
+
+        return {
+            start,
+            flush,
+            getMetrics: () => JSON.parse(JSON.stringify(metrics)),
+            getLongTasks: () => longTasks.slice()
+        };
+    })();
+
+    // Consent - per-category choices persisted locally. Nothing optional runs until a choice is made;
+    // bumping CONSENT_VERSION asks everyone again.
+    const CONSENT_KEY = 'armanleads:consent';
+    const CONSENT_VERSION = 1;
+    const CONSENT_CATEGORIES = ['analytics', 'marketing', 'embeds'];
+
+    const consent = (() => {
+        const listeners = [];
+        let state;
+
+        function load() {
+            if (state === undefined) {
+                const stored = localStore.get(CONSENT_KEY, null);
+                state = stored && stored.version === CONSENT_VERSION ? stored : null;
+            }
+            return state;
+        }
+
+        function get() {
+            const current = load();
+            const categories = { necessary: true };
+            CONSENT_CATEGORIES.forEach(category => {
+                categories[category] = Boolean(current && current.categories[category]);
+            });
+            return categories;
+        }
+
+        function set(choices) {
+            const categories = get();
+            CONSENT_CATEGORIES.forEach(category => {
+                if (category in choices) {
+                    categories[category] = Boolean(choices[category]);
+                }
+            });
+            delete categories.necessary;
+
+            state = { version: CONSENT_VERSION, categories, updatedAt: new Date().toISOString() };
+            localStore.set(CONSENT_KEY, state);
+
+            const snapshot = get();
+            listeners.forEach(listener => listener(snapshot));
+        }
+
+        function setAll(granted) {
+            const choices = {};
+            CONSENT_CATEGORIES.forEach(category => {
+                choices[category] = granted;
+            });
+            set(choices);
+        }
+
+        return {
+            get,
+            set,
+            has: category => Boolean(get()[category]),
+            isDecided: () => Boolean(load()),
+            acceptAll: () => setAll(true),
+            rejectAll: () => setAll(false),
+            onChange(listener) {
+                listeners.push(listener);
+                return () => {
+                    const index = listeners.indexOf(listener);
+                    if (index !== -1) listeners.splice(index, 1);
+                };
+            },
+            // Replaced by initConsent once the banner exists
+            open: () => {},
+            categories: CONSENT_CATEGORIES
+        };
+    })();
+
+    // Local storage that only writes once a consent category is granted. Until then, or after it is
+    // withdrawn, values are kept in memory for this page view and taken out of storage
+    function createConsentedStorage(category, keys) {
+        const memory = new Map();
+
+        function sync() {
+            const granted = consent.has(category);
+            keys.forEach(key => {
+                if (granted && memory.has(key)) {
+                    localStore.set(key, memory.get(key));
+                    memory.delete(key);
+                } else if (!granted) {
+                    const stored = localStore.get(key, null);
+                    if (stored === null) return;
+                    memory.set(key, stored);
+                    localStore.remove(key);
+                }
+            });
+        }
+
+        sync();
+        consent.onChange(sync);
+
+        return {
+            get(key, fallback = null) {
+                return memory.has(key) ? memory.get(key) : localStore.get(key, fallback);
+            },
+            set(key, value) {
+                if (consent.has(category)) {
+                    localStore.set(key, value);
+                } else {
+                    memory.set(key, value);
+                }
+            }
+        };
+    }
+
+    // Marketing attribution - first and last touch, kept across visits until they expire. Click ids
+    // identify the visitor to ad networks, so touches are only stored with marketing consent
+    const ATTRIBUTION_KEY = 'armanleads:attribution';
+    const ATTRIBUTION_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'];
+    // Calendly only understands the utm_* parameters
+    const SCHEDULER_UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+    const attributionSettings = {
+        expiryDays: 90
+    };
+
+    function configureAttribution(overrides) {
+        Object.assign(attributionSettings, overrides);
+    }
+
+    function readTouchFromPage() {
+        const params = new URLSearchParams(window.location.search);
+        const touch = {};
+
+        ATTRIBUTION_PARAMS.forEach(param => {
+            const value = params.get(param);
+            if (value) {
+                touch[param] = value.slice(0, 200);
+            }
+        });
+
+        // Only external referrers count as a touch - moving around our own pages isn't a new source
+        let referrerHost = '';
+        try {
+            referrerHost = document.referrer ? new URL(document.referrer).hostname : '';
+        } catch (e) {}
+        if (referrerHost && referrerHost !== window.location.hostname) {
+            touch.referrer = document.referrer.slice(0, 500);
+        }
+
+        return touch;
+    }
+
+    const attributionStore = createConsentedStorage('marketing', [ATTRIBUTION_KEY]);
+
+    const attribution = {
+        get() {
+            const stored = attributionStore.get(ATTRIBUTION_KEY, {}) || {};
+            const maxAge = attributionSettings.expiryDays * 24 * 60 * 60 * 1000;
+            const isFresh = touch => touch && Date.now() - Date.parse(touch.captured_at) < maxAge;
+
+            return {
+                firstTouch: isFresh(stored.firstTouch) ? stored.firstTouch : null,
+                lastTouch: isFresh(stored.lastTouch) ? stored.lastTouch : null
+            };
+        },
+
+        capture() {
+            const { firstTouch, lastTouch } = this.get();
+            const touch = readTouchFromPage();
+            const hasSource = Object.keys(touch).length > 0;
+            const current = {
+                ...(hasSource ? touch : { utm_source: '(direct)' }),
+                landing_page: window.location.pathname,
+                captured_at: new Date().toISOString()
+            };
+
+            // Direct visits start the first touch but never overwrite a real last touch
+            const next = {
+                firstTouch: firstTouch || current,
+                lastTouch: hasSource || !lastTouch ? current : lastTouch
+            };
+            attributionStore.set(ATTRIBUTION_KEY, next);
+            return next;
+        },
+
+        // first_utm_source, last_gclid, ... on the lead itself
+        appendTo(formData) {
+            const { firstTouch, lastTouch } = this.get();
+            [['first', firstTouch], ['last', lastTouch]].forEach(([prefix, touch]) => {
+                if (!touch) return;
+                Object.keys(touch).forEach(key => {
+                    formData.append(`${prefix}_${key}`, touch[key]);
+                });
+            });
+        },
+
+        applyToSchedulerUrl(url) {
+            const { lastTouch } = this.get();
+            if (!lastTouch) return url;
+
+            SCHEDULER_UTM_PARAMS.forEach(param => {
+                if (lastTouch[param] && lastTouch[param] !== '(direct)') {
+                    url.searchParams.set(param, lastTouch[param]);
+                }
+            });
+            return url;
+        }
+    };
+
+    // Experiments - every visitor gets one variant per experiment, deterministic (hash of a
+    // first-party visitor id) and sticky once assigned. ?variant=experiment:variant overrides for QA.
+    // Without analytics consent the id and assignments last for this page view only
+    const VISITOR_ID_KEY = 'armanleads:visitor-id';
+    const EXPERIMENTS_KEY = 'armanleads:experiments';
+
+    const experimentStore = createConsentedStorage('analytics', [VISITOR_ID_KEY, EXPERIMENTS_KEY]);
+
+    function getVisitorId() {
+        let id = experimentStore.get(VISITOR_ID_KEY, null);
+        if (!id) {
+            id = window.crypto && window.crypto.randomUUID
+                ? window.crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            experimentStore.set(VISITOR_ID_KEY, id);
+        }
+        return id;
+    }
+
+    // FNV-1a - only needs to spread visitors evenly, not be secure
+    function hashString(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    function readVariantOverrides() {
+        const overrides = {};
+        new URLSearchParams(window.location.search).getAll('variant').forEach(param => {
+            param.split(',').forEach(pair => {
+                const [experimentId, variantId] = pair.split(':').map(part => part && part.trim());
+                if (experimentId && variantId) {
+                    overrides[experimentId] = variantId;
+                }
+            });
+        });
+        return overrides;
+    }
+
+    const experiments = (() => {
+        const active = {};
+        const overrides = readVariantOverrides();
+
+        // variants: [{ id, weight }]
+        function assign(experimentId, variants) {
+            const isKnown = (variantId) => variants.some(variant => variant.id === variantId);
+
+            // QA overrides apply to this page view only and are never stored
+            if (isKnown(overrides[experimentId])) {
+                return overrides[experimentId];
+            }
+
+            const stored = experimentStore.get(EXPERIMENTS_KEY, {}) || {};
+            if (isKnown(stored[experimentId])) {
+                return stored[experimentId];
+            }
+
+            const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+            let point = (hashString(`${getVisitorId()}:${experimentId}`) % 10000) / 10000 * totalWeight;
+            const chosen = variants.find(variant => (point -= variant.weight) < 0) || variants[0];
+
+            experimentStore.set(EXPERIMENTS_KEY, { ...stored, [experimentId]: chosen.id });
+            return chosen.id;
+        }
+
+        function activate(experimentId, variants) {
+            if (!active[experimentId]) {
+                active[experimentId] = assign(experimentId, variants);
+            }
+            return active[experimentId];
+        }
+
+        return {
+            activate,
+            getActive: () => ({ ...active }),
+            isOverridden: (experimentId) => experimentId in overrides,
+
+            // "hero-headline:control,scarcity:capacity" for every experiment on this page
+            appendTo(formData) {
+                const assignments = Object.entries(active).map(([experimentId, variantId]) => `${experimentId}:${variantId}`);
+                if (assignments.length) {
+                    formData.append('experiments', assignments.join(','));
+                }
+                return formData;
+            }
+        };
+    })();
+
+    // Personalization - visitors from a vertical's ad campaign (?vertical=fitness) or who pick a business
+    // type see copy for that vertical for the rest of the session. Elements marked data-personalize
+    // switch to the "<key>.<vertical>" catalog entry when there is one (data-personalize="<key>" sets
+    // the base key), and [data-for-vertical] elements only show for their own vertical
+    const personalizationSettings = {
+        param: 'vertical',
+        // Business types that can be personalized, and the case study vertical each leads the portfolio with
+        verticals: {
+            dental: { caseStudy: 'dental' },
+            fitness: { caseStudy: 'fitness' },
+            other: { caseStudy: 'chiro' }
+        },
+        // Other spellings campaigns use for ?vertical=
+        aliases: {
+            dentist: 'dental',
+            gym: 'fitness',
+            crossfit: 'fitness',
+            chiro: 'other',
+            chiropractic: 'other'
+        }
+    };
+
+    function configurePersonalization(overrides) {
+        deepMerge(personalizationSettings, overrides);
+    }
+
+    const VERTICAL_KEY = 'armanleads:vertical';
+
+    const personalization = (() => {
+        let current = null;
+
+        function normalize(value) {
+            const name = String(value || '').trim().toLowerCase();
+            const vertical = personalizationSettings.aliases[name] || name;
+            return Object.prototype.hasOwnProperty.call(personalizationSettings.verticals, vertical) ? vertical : null;
+        }
+
+        // A campaign link beats an earlier choice in the same session
+        function resolve() {
+            const fromUrl = normalize(new URLSearchParams(window.location.search).get(personalizationSettings.param));
+            if (fromUrl) {
+                sessionStore.set(VERTICAL_KEY, fromUrl);
+                return { vertical: fromUrl, source: 'url' };
+            }
+
+            const stored = normalize(sessionStore.get(VERTICAL_KEY));
+            return { vertical: stored, source: stored ? 'session' : null };
+        }
+
+        function getCurrent() {
+            if (!current) current = resolve();
+            return current;
+        }
+
+        function set(value, source) {
+            const vertical = normalize(value);
+            if (!vertical || vertical === getCurrent().vertical) return false;
+
+            current = { vertical, source };
+            sessionStore.set(VERTICAL_KEY, vertical);
+            window.dispatchEvent(new CustomEvent('verticalChanged', { detail: { ...current } }));
+            return true;
+        }
+
+        return {
+            set,
+            get: () => getCurrent().vertical,
+            getSource: () => getCurrent().source,
+            caseStudyVertical() {
+                const vertical = getCurrent().vertical;
+                return vertical ? personalizationSettings.verticals[vertical].caseStudy || null : null;
+            }
+        };
+    })();
+
+    // What we already know about the visitor, used to prefill the booking calendar
+    const bookingPrefill = { name: '', email: '', business_type: '' };
+
+    function updateBookingPrefill(form) {
+        Object.keys(bookingPrefill).forEach(name => {
+            const field = form.elements.namedItem(name);
+            const value = field ? getFieldValue(field) : '';
+            // Keep earlier answers - a form reset after submitting shouldn't forget who sent it
+            if (value && !field.classList.contains('error')) {
+                bookingPrefill[name] = value;
+            }
+        });
+    }
+
+    // Scheduling providers - each one builds its embed URL (with prefill) and reads its own
+    // postMessages as { type: 'step' | 'booked' | 'error', step, eventUri, inviteeUri }.
+    // Anything that isn't a message from the provider comes back as null
+    const schedulerSettings = {
+        provider: 'calendly',
+        url: 'https://calendly.com/vrmvn0/meeting'
+    };
+
+    function configureScheduler(overrides) {
+        Object.assign(schedulerSettings, overrides);
+    }
+
+    function setUrlParams(url, params) {
+        Object.entries(params).forEach(([key, value]) => {
+            if (value) url.searchParams.set(key, value);
+        });
+        return url;
+    }
+
+    function isMessageFrom(e, url) {
+        return e.origin === url.origin && e.data && typeof e.data === 'object';
+    }
+
+    const schedulingProviders = {
+        calendly: ({ url }) => {
+            const baseUrl = new URL(url);
+            return {
+                name: 'calendly',
+                label: 'Calendly',
+                buildUrl(prefill) {
+                    return setUrlParams(new URL(baseUrl), {
+                        // Calendly only posts booking events to pages that identify themselves as the embed host
+                        embed_domain: window.location.hostname,
+                        embed_type: 'Inline',
+                        name: prefill.name,
+                        email: prefill.email,
+                        // a1 answers the event type's first custom question ("What kind of business?")
+                        a1: prefill.business_type
+                    });
+                },
+                parseMessage(e) {
+                    if (!isMessageFrom(e, baseUrl) || typeof e.data.event !== 'string') return null;
+
+                    const step = e.data.event.replace(/^calendly\./, '');
+                    const payload = e.data.payload || {};
+                    switch (step) {
+                        // Only the booking steps - page_height and friends fire constantly and mean nothing
+                        case 'profile_page_viewed':
+                        case 'event_type_viewed':
+                        case 'date_and_time_selected':
+                            return { type: 'step', step };
+                        case 'event_scheduled':
+                            return {
+                                type: 'booked',
+                                eventUri: payload.event && payload.event.uri,
+                                inviteeUri: payload.invitee && payload.invitee.uri
+                            };
+                        default:
+                            return null;
+                    }
+                }
+            };
+        },
+        calcom: ({ url }) => {
+            const baseUrl = new URL(url);
+            return {
+                name: 'calcom',
+                label: 'Cal.com',
+                buildUrl(prefill) {
+                    return setUrlParams(new URL(baseUrl), {
+                        embed: 'inline',
+                        embedType: 'inline',
+                        name: prefill.name,
+                        email: prefill.email,
+                        // Cal.com prefills booking questions by their identifier
+                        business_type: prefill.business_type
+                    });
+                },
+                parseMessage(e) {
+                    if (!isMessageFrom(e, baseUrl) || e.data.originator !== 'CAL') return null;
+
+                    const data = e.data.data || {};
+                    switch (e.data.type) {
+                        case 'bookingSuccessful':
+                        case 'bookingSuccessfulV2': {
+                            const eventTypeId = data.eventType ? data.eventType.id : data.eventTypeId;
+                            return {
+                                type: 'booked',
+                                eventUri: eventTypeId != null ? String(eventTypeId) : undefined,
+                                inviteeUri: (data.booking && data.booking.uid) || data.uid
+                            };
+                        }
+                        case 'linkFailed':
+                            return { type: 'error' };
+                        case 'linkReady':
+                            return { type: 'step', step: 'event_type_viewed' };
+                        default:
+                            return null;
+                    }
+                }
+            };
+        },
+        tidycal: ({ url }) => {
+            const baseUrl = new URL(url);
+            return {
+                name: 'tidycal',
+                label: 'TidyCal',
+                buildUrl(prefill) {
+                    return setUrlParams(new URL(baseUrl), {
+                        name: prefill.name,
+                        email: prefill.email
+                    });
+                },
+                // TidyCal shows its own confirmation and doesn't report bookings to the page
+                parseMessage: () => null
+            };
+        },
+        // Any scheduler that can be framed - no prefill, no booking events
+        iframe: ({ url, label = 'our scheduling partner' }) => ({
+            name: 'iframe',
+            label,
+            buildUrl: () => new URL(url),
+            parseMessage: () => null
+        })
+    };
+
+    function registerSchedulingProvider(name, factory) {
+        schedulingProviders[name] = factory;
+    }
+
+    // Markup wins over configuration, so one script can serve microsites on different schedulers
+    function createSchedulingProvider(modal) {
+        const { scheduler, schedulerUrl, schedulerLabel } = modal.dataset;
+        const config = {
+            ...schedulerSettings,
+            ...(scheduler && { provider: scheduler }),
+            ...(schedulerUrl && { url: schedulerUrl }),
+            ...(schedulerLabel && { label: schedulerLabel })
+        };
+
+        const factory = schedulingProviders[config.provider];
+        if (!factory) {
+            throw new Error(`Unknown scheduling provider "${config.provider}"`);
+        }
+        return factory(config);
+    }
+
+    // Form submission transports - every adapter resolves to the same normalized result:
+    // { ok, status, errors: [{ field, message }], rateLimited, retryAfter }
+    // Network failures reject, exactly like fetch itself
+    function createSubmissionResult(overrides = {}) {
+        return {
+            ok: false,
+            status: 0,
+            errors: [],
+            rateLimited: false,
+            retryAfter: null,
+            ...overrides
+        };
+    }
+
+    // Retry-After is either delta-seconds or an HTTP date; returns a timestamp
+    function parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) return Date.now() + seconds * 1000;
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : date;
+    }
+
+    async function readJson(response) {
+        try {
+            return await response.json();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Accepts [{ field, message }], { field: message } or { field: [messages] }
+    function normalizeErrors(errors) {
+        if (!errors) return [];
+        if (Array.isArray(errors)) {
+            return errors.map(error => typeof error === 'string'
+                ? { field: null, message: error }
+                : { field: error.field || null, message: error.message || String(error.code || 'Invalid value') });
+        }
+        if (typeof errors === 'object') {
+            return Object.keys(errors).map(field => ({
+                field,
+                message: [].concat(errors[field])[0]
+            }));
+        }
+        return [{ field: null, message: String(errors) }];
+    }
+
+    async function normalizeResponse(response, getErrors) {
+        const status = response.status;
+        const result = createSubmissionResult({ ok: response.ok, status });
+
+        if (status === 429) {
+            result.rateLimited = true;
+            result.retryAfter = parseRetryAfter(response.headers && response.headers.get('Retry-After'));
+        } else if (!response.ok && (status === 400 || status === 422)) {
+            result.errors = getErrors ? normalizeErrors(getErrors(await readJson(response))) : [];
+        }
+
+        return result;
+    }
+
+    function formDataToObject(formData) {
+        const data = {};
+        formData.forEach((value, key) => {
+            if (typeof value !== 'string') return;
+            if (key in data) {
+                data[key] = [].concat(data[key], value);
+            } else {
+                data[key] = value;
+            }
+        });
+        return data;
+    }
+
+    const formTransports = {
+        // Formspree: multipart POST, JSON errors as { errors: [{ field, message }] }
+        formspree: ({ endpoint }) => ({
+            async send(formData) {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    body: formData,
+                    headers: {
+                        'Accept': 'application/json'
+                    }
+                });
+                return normalizeResponse(response, body => body && body.errors);
+            }
+        }),
+
+        // Generic JSON webhook (Zapier, Make, a client's own API or a local stub server)
+        webhook: ({ endpoint }) => ({
+            async send(formData) {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    body: JSON.stringify(formDataToObject(formData)),
+                    headers: {
+                        'Accept': 'application/json',
+                        'Content-Type': 'application/json'
+                    }
+                });
+                return normalizeResponse(response, body => body && (body.errors || body.error));
+            }
+        }),
+
+        // Netlify Forms: urlencoded POST that must carry the registered form-name
+        netlify: ({ endpoint, formName }) => ({
+            async send(formData) {
+                const body = new URLSearchParams();
+                body.append('form-name', formName || 'contact');
+                formData.forEach((value, key) => {
+                    if (typeof value === 'string' && key !== 'form-name') {
+                        body.append(key, value);
+                    }
+                });
+
+                const response = await fetch(endpoint || '/', {
+                    method: 'POST',
+                    body: body.toString(),
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    }
+                });
+                return normalizeResponse(response);
+            }
+        }),
+
+        // Mock: no network at all, for local development and QA of every response state
+        mock: ({ mockResult = 'success', mockDelay = 600 }) => ({
+            async send(formData) {
+                await new Promise(resolve => setTimeout(resolve, Number(mockDelay) || 0));
+                console.info('ArmanLeads mock transport:', mockResult, formDataToObject(formData));
+
+                switch (mockResult) {
+                    case 'network':
+                        throw new TypeError('Mock network failure');
+                    case 'validation':
+                        return createSubmissionResult({
+                            status: 422,
+                            errors: [{ field: 'email', message: 'This email address was rejected by the server' }]
+                        });
+                    case 'rate-limit':
+                        return createSubmissionResult({
+                            status: 429,
+                            rateLimited: true,
+                            retryAfter: Date.now() + 30000
+                        });
+                    case 'error':
+                        return createSubmissionResult({ status: 500 });
+                    default:
+                        return createSubmissionResult({ ok: true, status: 200 });
+                }
+            }
+        })
+    };
+
+    function registerFormTransport(type, factory) {
+        if (typeof factory !== 'function') {
+            throw new TypeError(`Transport "${type}" must be a factory function`);
+        }
+        formTransports[type] = factory;
+    }
+
+    // Transport config is plain data so queued submissions can be replayed with it later
+    function getTransportConfig(form) {
+        const { transport, transportEndpoint, netlifyFormName, mockResult, mockDelay } = form.dataset;
+        return {
+            type: transport || 'formspree',
+            endpoint: transportEndpoint || form.action,
+            formName: netlifyFormName || form.getAttribute('name') || undefined,
+            mockResult,
+            mockDelay
+        };
+    }
+
+    function createFormTransport(config) {
+        const factory = formTransports[config.type];
+        if (!factory) {
+            throw new Error(`Unknown form transport "${config.type}"`);
+        }
+        return factory(config);
+    }
+
+    // Resolves on success, throws an error carrying the normalized result otherwise
+    async function sendSubmission(transportConfig, formData) {
+        const result = await createFormTransport(transportConfig).send(formData);
+
+        if (!result.ok) {
+            const error = new Error(result.rateLimited
+                ? 'Submission rate limited'
+                : `Submission failed with status ${result.status}`);
+            error.status = result.status;
+            error.result = result;
+            throw error;
+        }
+
+        return result;
+    }
+
+    // Offline submission queue - failed leads are persisted and replayed with backoff
+    const SUBMISSION_QUEUE_KEY = 'armanleads:submission-queue';
+    const RETRY_BASE_DELAY = 5000;
+    const RETRY_MAX_DELAY = 5 * 60 * 1000;
+    // Past either limit a lead is given up on and the visitor is told, rather than retried forever
+    const SUBMISSION_MAX_ATTEMPTS = 8;
+    const SUBMISSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+    // fetch rejects with a TypeError when the network fails; server errors, timeouts and rate limits
+    // are also worth retrying. Anything else (an unknown transport, a bad response, a bug) is a failure
+    function isRetryableError(error) {
+        if (!error) return false;
+
+        const { status } = error;
+        if (status) {
+            return status >= 500 || status === 408 || status === 429;
+        }
+        return error instanceof TypeError || error.name === 'TypeError';
+    }
+
+    function serializeFormData(formData) {
+        const entries = [];
+        formData.forEach((value, key) => {
+            // Files can't be persisted - the audit form doesn't use them anyway
+            if (typeof value === 'string') {
+                entries.push([key, value]);
+            }
+        });
+        return entries;
+    }
+
+    function deserializeFormData(entries) {
+        const formData = new FormData();
+        entries.forEach(([key, value]) => formData.append(key, value));
+        return formData;
+    }
+
+    const submissionQueue = (() => {
+        let memoryItems = null;
+        let retryTimer = null;
+        let isFlushing = false;
+
+        function read() {
+            return localStore.get(SUBMISSION_QUEUE_KEY, null) || memoryItems || [];
+        }
+
+        function write(items) {
+            if (items.length === 0) {
+                localStore.remove(SUBMISSION_QUEUE_KEY);
+                memoryItems = null;
+                return;
+            }
+            // Keep the queue in memory if storage is unavailable so it still retries this session
+            memoryItems = localStore.set(SUBMISSION_QUEUE_KEY, items) ? null : items;
+        }
+
+        function update(id, changes) {
+            write(read().map(item => item.id === id ? { ...item, ...changes } : item));
+        }
+
+        function remove(id) {
+            write(read().filter(item => item.id !== id));
+        }
+
+        function getRetryDelay(attempts) {
+            return Math.min(RETRY_BASE_DELAY * Math.pow(2, attempts - 1), RETRY_MAX_DELAY);
+        }
+
+        function scheduleRetry() {
+            clearTimeout(retryTimer);
+            const items = read();
+            if (items.length === 0) return;
+
+            const nextAttemptAt = Math.min(...items.map(item => item.nextAttemptAt));
+            retryTimer = setTimeout(() => flush(), Math.max(0, nextAttemptAt - Date.now()));
+        }
+
+        // Honour the endpoint's Retry-After when it rate limited us
+        function getNextAttemptAt(attempts, error) {
+            const retryAfter = error && error.result && error.result.retryAfter;
+            return Math.max(Date.now() + getRetryDelay(attempts), retryAfter || 0);
+        }
+
+        // formId tells listeners which form a sent or dropped item came from
+        function enqueue(transportConfig, formData, error, formId) {
+            const items = read();
+            items.push({
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                formId,
+                transport: transportConfig,
+                entries: serializeFormData(formData),
+                queuedAt: new Date().toISOString(),
+                attempts: 1,
+                nextAttemptAt: getNextAttemptAt(1, error)
+            });
+            write(items);
+            scheduleRetry();
+        }
+
+        // reason: 'expired' | 'attempts' | 'rejected'
+        function drop(item, reason) {
+            remove(item.id);
+            window.dispatchEvent(new CustomEvent('submissionQueueDropped', {
+                detail: { id: item.id, formId: item.formId, queuedAt: item.queuedAt, reason }
+            }));
+        }
+
+        // Every open tab replays the same queue, so each item is claimed with a Web Lock first and
+        // skipped while another tab holds it. Browsers without the Locks API send without a claim
+        function withItemLock(id, task) {
+            if (!navigator.locks) return task();
+            return navigator.locks.request(`${SUBMISSION_QUEUE_KEY}:${id}`, { ifAvailable: true }, lock => lock ? task() : null);
+        }
+
+        async function send(id) {
+            // Re-read under the lock - another tab may have sent or dropped it in the meantime
+            const item = read().find(queued => queued.id === id);
+            if (!item) return;
+
+            if (Date.now() - Date.parse(item.queuedAt) > SUBMISSION_MAX_AGE) {
+                drop(item, 'expired');
+                return;
+            }
+
+            try {
+                // Items queued before transports existed only carry the Formspree action
+                const transportConfig = item.transport || { type: 'formspree', endpoint: item.action };
+                await sendSubmission(transportConfig, deserializeFormData(item.entries));
+                remove(item.id);
+                window.dispatchEvent(new CustomEvent('submissionQueueSent', {
+                    detail: { id: item.id, formId: item.formId, queuedAt: item.queuedAt }
+                }));
+            } catch (error) {
+                const attempts = item.attempts + 1;
+                if (isRetryableError(error) && attempts < SUBMISSION_MAX_ATTEMPTS) {
+                    update(item.id, { attempts, nextAttemptAt: getNextAttemptAt(attempts, error) });
+                } else {
+                    // Either the endpoint rejected the lead itself, or it has failed too often to keep trying
+                    drop(item, isRetryableError(error) ? 'attempts' : 'rejected');
+                    handleError(error, 'Submission Queue');
+                }
+            }
+        }
+
+        async function flush({ force = false } = {}) {
+            if (isFlushing || navigator.onLine === false) return;
+            isFlushing = true;
+            clearTimeout(retryTimer);
+
+            try {
+                for (const item of read()) {
+                    if (!force && item.nextAttemptAt > Date.now()) continue;
+                    await withItemLock(item.id, () => send(item.id));
+                }
+            } finally {
+                isFlushing = false;
+                scheduleRetry();
+            }
+        }
+
+        return {
+            enqueue,
+            flush,
+            size: () => read().length
+        };
+    })();
+
+    // Form drafts - what's been typed survives a reload or a detour to pricing, until it expires
+    const FORM_DRAFT_KEY = 'armanleads:form-draft';
+
+    const draftSettings = {
+        // 'sessionStorage' keeps drafts to the tab; 'localStorage' also survives closing it
+        storage: 'sessionStorage',
+        ttlHours: 24
+    };
+
+    function configureDrafts(overrides) {
+        Object.assign(draftSettings, overrides);
+    }
+
+    const formDrafts = {
+        load(formId) {
+            const store = createStorage(draftSettings.storage);
+            const draft = store.get(`${FORM_DRAFT_KEY}:${formId}`, null);
+            if (!draft || !draft.values) return null;
+
+            if (Date.now() - draft.savedAt > draftSettings.ttlHours * 60 * 60 * 1000) {
+                store.remove(`${FORM_DRAFT_KEY}:${formId}`);
+                return null;
+            }
+            return draft.values;
+        },
+
+        save(formId, values) {
+            return createStorage(draftSettings.storage).set(`${FORM_DRAFT_KEY}:${formId}`, {
+                values,
+                savedAt: Date.now()
+            });
+        },
+
+        clear(formId) {
+            createStorage(draftSettings.storage).remove(`${FORM_DRAFT_KEY}:${formId}`);
+        }
+    };
+
+    // Engagement triggers - when the audit checklist overlay may interrupt a visit, and how often
+    const CAPTURE_OVERLAY_KEY = 'armanleads:capture-overlay';
+
+    const engagementTriggerSettings = {
+        exitIntent: true,
+        // Fraction of the page scrolled, or false to disable
+        scrollDepth: 0.7,
+        // Milliseconds without any input, or false to disable
+        inactivity: 45000,
+        // Nothing fires before the visitor has had a chance to read
+        minTimeOnPage: 8000,
+        // Upward flick speed (px/ms) that counts as reaching for the address bar on touch devices
+        fastScrollVelocity: 2.5,
+        maxShows: 1,
+        capDays: 7
+    };
+
+    function configureEngagementTriggers(overrides) {
+        Object.assign(engagementTriggerSettings, overrides);
+    }
+
+    // Config - everything a client deployment changes, in one place. Each module keeps its own defaults;
+    // a <script type="application/json" id="armanleads-config"> block in the page overrides them, and
+    // window.ArmanLeadsConfig (set before this script runs) overrides that. Each top-level section is
+    // handed to its module's configure function, and `features` switches init* modules on or off
+    const CONFIG_ELEMENT_ID = 'armanleads-config';
+
+    const siteSettings = {
+        contactEmail: 'hello@armanleads.com',
+        // Widest viewport that gets the slide-out menu - keep in step with the CSS breakpoint
+        mobileBreakpoint: 767,
+        preloaderTimeout: 5000,
+        successMessageDuration: 10000,
+        defaultBusinessType: 'dental'
+    };
+
+    function configureSite(overrides) {
+        Object.assign(siteSettings, overrides);
+    }
+
+    // One flag per init* module (error handling always runs, so a broken module is still reported)
+    const featureFlags = {
+        preloader: true,
+        i18n: true,
+        consent: true,
+        analytics: true,
+        attribution: true,
+        experiments: true,
+        personalization: true,
+        stickyNavbar: true,
+        dialogs: true,
+        mobileNav: true,
+        smoothNavigation: true,
+        businessTypeSelector: true,
+        roiCalculator: true,
+        availability: true,
+        portfolio: true,
+        faq: true,
+        contactForm: true,
+        submissionQueue: true,
+        booking: true,
+        engagementTriggers: true,
+        scrollAnimations: true,
+        performanceMonitoring: true
+    };
+
+    function configureFeatures(overrides) {
+        Object.assign(featureFlags, overrides);
+    }
+
+    const configSections = {
+        site: { settings: siteSettings, configure: configureSite },
+        features: { settings: featureFlags, configure: configureFeatures },
+        scheduler: { settings: schedulerSettings, configure: configureScheduler },
+        i18n: { settings: i18nSettings, configure: configureI18n },
+        attribution: { settings: attributionSettings, configure: configureAttribution },
+        leadScoring: { settings: leadScoringWeights, configure: configureLeadScoring },
+        roi: { settings: roiSettings, configure: configureRoi },
+        personalization: { settings: personalizationSettings, configure: configurePersonalization },
+        availability: { settings: availabilitySettings, configure: configureAvailability },
+        caseStudies: { settings: caseStudySettings, configure: configureCaseStudies },
+        faq: { settings: faqSettings, configure: configureFaq },
+        drafts: { settings: draftSettings, configure: configureDrafts },
+        engagementTriggers: { settings: engagementTriggerSettings, configure: configureEngagementTriggers },
+        toasts: { settings: toastSettings, configure: configureToasts },
+        errors: { settings: errorReportSettings, configure: configureErrorReporting },
+        vitals: { settings: vitalsSettings, configure: configureVitals }
+    };
+
+    function configure(overrides) {
+        Object.entries(overrides || {}).forEach(([name, value]) => {
+            const section = configSections[name];
+            if (!section) {
+                console.warn(`ArmanLeads config: unknown section "${name}"`);
+                return;
+            }
+            section.configure(value);
+        });
+    }
+
+    function readPageConfig() {
+        const element = document.getElementById(CONFIG_ELEMENT_ID);
+        if (!element) return {};
+
+        try {
+            return JSON.parse(element.textContent || '{}');
+        } catch (error) {
+            // A typo in one client's config shouldn't take the page down - fall back to the defaults
+            handleError(error, 'Config');
+            return {};
+        }
+    }
+
+    function loadConfig() {
+        configure(deepMerge({}, readPageConfig(), window.ArmanLeadsConfig));
+    }
+
+    function getConfig() {
+        const snapshot = {};
+        Object.entries(configSections).forEach(([name, { settings }]) => {
+            snapshot[name] = deepMerge({}, settings);
+        });
+        return snapshot;
+    }
+
+    // 1. Enhanced Preloader with better UX
+    function initPreloader() {
+        const preloader = document.getElementById('preloader');
+        if (!preloader) return;
+
+        let isLoaded = false;
+
+        function hidePreloader() {
+            if (isLoaded) return;
+            isLoaded = true;
+            
+            preloader.classList.add('fade-out');
+            setTimeout(() => {
+                if (preloader.parentNode) {
+                    preloader.parentNode.removeChild(preloader);
+                }
+                // Trigger any animations that should start after page load
+                document.body.classList.add('loaded');
+            }, 350);
+        }
+
+        // Hide on load or after max timeout
+        window.addEventListener('load', hidePreloader);
+        
+        // Safety timeout - don't show preloader forever
+        setTimeout(() => {
+            if (!isLoaded) {
+                console.warn(`Preloader timeout - hiding after ${siteSettings.preloaderTimeout}ms`);
+                hidePreloader();
+            }
+        }, siteSettings.preloaderTimeout);
+    }
+
+    // 2. Enhanced sticky navbar with scroll direction detection
+    function initStickyNavbar() {
+        const navbar = document.getElementById('navbar');
+        if (!navbar) return;
+
+        let lastScrollY = window.scrollY;
+        let isScrollingDown = false;
+
+        const handleScroll = throttle(() => {
+            const currentScrollY = window.scrollY;
+            const scrollingDown = currentScrollY > lastScrollY;
+            
+            // Add scrolled class
+            navbar.classList.toggle('scrolled', currentScrollY > 50);
+            
+            // Optional: Hide navbar when scrolling down (uncomment if desired)
+            /*
+            if (scrollingDown !== isScrollingDown && currentScrollY > 100) {
+                isScrollingDown = scrollingDown;
+                navbar.style.transform = scrollingDown ? 'translateY(-100%)' : 'translateY(0)';
+            }
+            */
+            
+            lastScrollY = currentScrollY;
+        }, 16);
+
+        window.addEventListener('scroll', handleScroll, passiveIfSupported);
+        
+        return () => window.removeEventListener('scroll', handleScroll);
+    }
+
+    // Dialog manager - one focus trap, Escape handler, scroll lock and inert background
+    // shared by every modal surface. Dialogs stack: only the topmost one is interactive
+    const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, iframe, [tabindex]:not([tabindex="-1"])';
+
+    const dialogs = (() => {
+        const registry = new Map();
+        const stack = [];
+        const inertElements = new Set();
+        let lockedScrollY = 0;
+
+        const defaults = {
+            openClass: 'active',
+            closeOnEscape: true,
+            closeOnOutsideClick: false,
+            // Elements outside the dialog that stay interactive while it's open (e.g. its toggle)
+            allowOutside: [],
+            initialFocus: null,
+            focusDelay: 0
+        };
+
+        function register(element, options = {}) {
+            const existing = registry.get(element);
+            if (existing) {
+                Object.assign(existing.options, options);
+                return existing.controller;
+            }
+
+            const entry = {
+                options: { ...defaults, ...options },
+                opener: null,
+                resolve: null,
+                promise: null,
+                controller: {
+                    element,
+                    open: (openOptions) => open(element, openOptions),
+                    close: (returnValue) => close(element, returnValue),
+                    isOpen: () => isOpen(element)
+                }
+            };
+            registry.set(element, entry);
+            return entry.controller;
+        }
+
+        function getEntry(element) {
+            return registry.get(element) || registry.get(register(element).element);
+        }
+
+        function getFocusable(element) {
+            return Array.from(element.querySelectorAll(FOCUSABLE_SELECTOR))
+                .filter(el => !el.disabled && !el.closest('[hidden], [inert]'));
+        }
+
+        function focusFirst(element) {
+            const { initialFocus } = getEntry(element).options;
+            const target = (typeof initialFocus === 'string' ? element.querySelector(initialFocus) : initialFocus)
+                || getFocusable(element)[0]
+                || element;
+            target.focus();
+        }
+
+        function lockScroll() {
+            lockedScrollY = window.scrollY;
+            document.body.style.top = `-${lockedScrollY}px`;
+            document.body.classList.add('modal-open');
+        }
+
+        function unlockScroll() {
+            document.body.classList.remove('modal-open');
+            document.body.style.top = '';
+            window.scrollTo(0, lockedScrollY);
+        }
+
+        // Everything outside the top dialog (and its allowed elements) becomes inert
+        function updateInert() {
+            inertElements.forEach(el => el.removeAttribute('inert'));
+            inertElements.clear();
+
+            const top = stack[stack.length - 1];
+            if (!top) return;
+
+            const keep = [top, ...getEntry(top).options.allowOutside.filter(Boolean)];
+            const markOutside = (parent) => {
+                Array.from(parent.children).forEach(child => {
+                    if (keep.includes(child) || child.tagName === 'SCRIPT' || child.hasAttribute('data-dialog-exempt')) return;
+                    if (keep.some(el => child.contains(el))) {
+                        markOutside(child);
+                    } else if (!child.hasAttribute('inert')) {
+                        child.setAttribute('inert', '');
+                        inertElements.add(child);
+                    }
+                });
+            };
+            markOutside(document.body);
+        }
+
+        function dispatch(element, type, detail) {
+            element.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+        }
+
+        function isOpen(element) {
+            return stack.includes(element);
+        }
+
+        // Resolves with the return value passed to close()
+        function open(element, { opener = document.activeElement } = {}) {
+            const entry = getEntry(element);
+            if (isOpen(element)) return entry.promise;
+
+            entry.opener = opener;
+            entry.promise = new Promise(resolve => {
+                entry.resolve = resolve;
+            });
+
+            if (stack.length === 0) lockScroll();
+            stack.push(element);
+
+            element.classList.add(entry.options.openClass);
+            element.setAttribute('aria-hidden', 'false');
+            updateInert();
+
+            if (entry.options.focusDelay) {
+                setTimeout(() => {
+                    if (isOpen(element)) focusFirst(element);
+                }, entry.options.focusDelay);
+            } else {
+                focusFirst(element);
+            }
+
+            dispatch(element, 'dialogOpen', { opener });
+            return entry.promise;
+        }
+
+        function close(element, returnValue) {
+            if (!isOpen(element)) return;
+
+            const entry = getEntry(element);
+            stack.splice(stack.indexOf(element), 1);
+
+            element.classList.remove(entry.options.openClass);
+            element.setAttribute('aria-hidden', 'true');
+            updateInert();
+            if (stack.length === 0) unlockScroll();
+
+            // Restore focus to whatever opened it, if that's still around
+            if (entry.opener && entry.opener.isConnected && typeof entry.opener.focus === 'function') {
+                entry.opener.focus();
+            }
+
+            dispatch(element, 'dialogClose', { returnValue });
+            entry.resolve(returnValue);
+            entry.opener = null;
+        }
+
+        function trapFocus(e) {
+            const top = stack[stack.length - 1];
+            if (!top) return;
+
+            const focusable = getFocusable(top);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                top.focus();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const inside = top.contains(document.activeElement);
+
+            if (e.shiftKey && (document.activeElement === first || !inside)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        document.addEventListener('keydown', (e) => {
+            const top = stack[stack.length - 1];
+            if (!top) return;
+
+            if (e.key === 'Tab') {
+                trapFocus(e);
+            } else if (e.key === 'Escape' && getEntry(top).options.closeOnEscape) {
+                close(top);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const top = stack[stack.length - 1];
+            if (!top) return;
+
+            const { closeOnOutsideClick, allowOutside } = getEntry(top).options;
+            const outside = !top.contains(e.target) && !allowOutside.some(el => el && el.contains(e.target));
+            if (closeOnOutsideClick && outside) {
+                close(top);
+            }
+        });
+
+        return {
+            register,
+            open,
+            close,
+            isOpen,
+            focus: focusFirst,
+            getOpen: () => stack.slice()
+        };
+    })();
+
+    // 3. Enhanced mobile navigation with better accessibility
+    function initMobileNav() {
+        const navToggle = document.getElementById('nav-toggle');
+        const navMenu = document.getElementById('nav-menu');
+        if (!navToggle || !navMenu) return;
+
+        const menu = dialogs.register(navMenu, {
+            allowOutside: [navToggle],
+            closeOnOutsideClick: true,
+            // Focus first menu item after the slide-in animation
+            focusDelay: 100
+        });
+
+        navMenu.addEventListener('dialogOpen', () => navToggle.setAttribute('aria-expanded', 'true'));
+        navMenu.addEventListener('dialogClose', () => navToggle.setAttribute('aria-expanded', 'false'));
+
+        // Toggle functionality
+        navToggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            menu.isOpen() ? menu.close() : menu.open({ opener: navToggle });
+        });
+
+        // Close on nav link click (mobile only) - before smooth scrolling starts,
+        // so the scroll lock isn't restoring the old position underneath it
+        const navLinks = navMenu.querySelectorAll('a[href^="#"]');
+        navLinks.forEach(link => {
+            link.addEventListener('click', () => {
+                if (window.innerWidth <= siteSettings.mobileBreakpoint) {
+                    menu.close();
+                }
+            });
+        });
+
+        // Close menu on resize if mobile menu is open
+        const handleResize = debounce(() => {
+            if (menu.isOpen() && window.innerWidth > siteSettings.mobileBreakpoint) {
+                menu.close();
+            }
+        }, 250);
+
+        window.addEventListener('resize', handleResize);
+
+        return () => {
+            window.removeEventListener('resize', handleResize);
+        };
+    }
+
+    // 4. Enhanced smooth navigation with better performance
+    function initSmoothNavigation() {
+        const navLinks = document.querySelectorAll('a[href^="#"]');
+        const navbar = document.getElementById('navbar');
+        const navbarHeight = navbar ? navbar.offsetHeight : 80;
+
+        // Handle navigation clicks
+        navLinks.forEach(link => {
+            link.addEventListener('click', (e) => {
+                const href = link.getAttribute('href');
+                if (href === '#' || href === '#top') return;
+
+                const target = document.querySelector(href);
+                if (!target) return;
+
+                e.preventDefault();
+                
+                const targetPosition = target.offsetTop - navbarHeight - 20;
+                const startPosition = window.pageYOffset;
+                const distance = Math.max(0, targetPosition) - startPosition;
+                
+                // Use native smooth scrolling if supported, otherwise use custom
+                if ('scrollBehavior' in document.documentElement.style) {
+                    window.scrollTo({
+                        top: Math.max(0, targetPosition),
+                        behavior: 'smooth'
+                    });
+                } else {
+                    // Custom smooth scroll for older browsers
+                    const duration = Math.min(Math.abs(distance) / 2, 800);
+                    let start = null;
+                    
+                    function animate(currentTime) {
+                        if (start === null) start = currentTime;
+                        const timeElapsed = currentTime - start;
+                        const progress = Math.min(timeElapsed / duration, 1);
+                        
+                        // Easing function
+                        const ease = progress < 0.5 
+                            ? 2 * progress * progress 
+                            : -1 + (4 - 2 * progress) * progress;
+                            
+                        window.scrollTo(0, startPosition + distance * ease);
+                        
+                        if (timeElapsed < duration) {
+                            requestAnimationFrame(animate);
+                        }
+                    }
+                    
+                    requestAnimationFrame(animate);
+                }
+            });
+        });
+
+        // Enhanced active section highlighting
+        const sections = document.querySelectorAll('section[id]');
+        if (sections.length === 0) return;
+
+        const observerOptions = {
+            root: null,
+            rootMargin: `-${navbarHeight + 50}px 0px -50% 0px`,
+            threshold: [0, 0.25, 0.5, 0.75, 1]
+        };
+
+        const observer = createIntersectionObserver((entries) => {
+            // Find the section with highest intersection ratio
+            let maxRatio = 0;
+            let activeSection = null;
+            
+            entries.forEach(entry => {
+                if (entry.intersectionRatio > maxRatio) {
+                    maxRatio = entry.intersectionRatio;
+                    activeSection = entry.target;
+                }
+            });
+            
+            if (activeSection) {
+                const id = activeSection.getAttribute('id');
+                if (pageEngagement.setActiveSection(id)) {
+                    analytics.track('section_view', { section_id: id });
+                }
+                
+                // Remove active from all nav links
+                document.querySelectorAll('.nav-link').forEach(link => {
+                    link.classList.remove('active');
+                });
+                
+                // Add active to current
+                const activeNavLink = document.querySelector(`.nav-link[href="#${id}"]`);
+                if (activeNavLink) {
+                    activeNavLink.classList.add('active');
+                }
+            }
+        }, observerOptions);
+
+        sections.forEach(section => {
+            observer.observe(section);
+        });
+
+        return () => observer.disconnect();
+    }
+
+    // 5. Enhanced business type selector with better state management
+    function initBusinessTypeSelector() {
+        const businessTypeCards = document.querySelectorAll('.business-type-card');
+        const businessTypeInput = document.getElementById('business-type');
+        
+        if (!businessTypeInput || businessTypeCards.length === 0) return;
+
+        function selectBusinessType(selectedCard, { initial = false } = {}) {
+            // Remove active from all cards
+            businessTypeCards.forEach(card => {
+                card.classList.remove('active');
+                card.setAttribute('aria-pressed', 'false');
+            });
+            
+            // Add active to selected card
+            selectedCard.classList.add('active');
+            selectedCard.setAttribute('aria-pressed', 'true');
+            
+            // Update hidden input value
+            const businessType = selectedCard.getAttribute('data-type');
+            businessTypeInput.value = businessType || siteSettings.defaultBusinessType;
+            
+            // Let the wizard, analytics and anything else react (initial marks the default selection)
+            window.dispatchEvent(new CustomEvent('businessTypeSelected', {
+                detail: { type: businessType, initial }
+            }));
+        }
+
+        // Initialize the card from a saved draft, or the configured default
+        const contactForm = businessTypeInput.form;
+        const draft = contactForm ? formDrafts.load(contactForm.id) : null;
+        const findCard = type => Array.from(businessTypeCards).find(card => card.getAttribute('data-type') === type);
+        const initialCard = (draft && findCard(draft.business_type))
+            || findCard(personalization.get())
+            || findCard(siteSettings.defaultBusinessType)
+            || businessTypeCards[0];
+        if (initialCard) {
+            selectBusinessType(initialCard, { initial: true });
+        }
+
+        businessTypeCards.forEach((card, index) => {
+            // Add ARIA attributes
+            card.setAttribute('role', 'button');
+            card.setAttribute('tabindex', '0');
+            card.setAttribute('aria-pressed', 'false');
+            
+            // Handle clicks
+            card.addEventListener('click', () => selectBusinessType(card));
+            
+            // Handle keyboard navigation
+            card.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    selectBusinessType(card);
+                }
+                
+                // Arrow key navigation
+                if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                    e.preventDefault();
+                    const nextIndex = e.key === 'ArrowRight' 
+                        ? (index + 1) % businessTypeCards.length
+                        : (index - 1 + businessTypeCards.length) % businessTypeCards.length;
+                    businessTypeCards[nextIndex].focus();
+                }
+            });
+        });
+    }
+
+    // Field error display shared by validation and endpoint-reported errors
+    function setFieldError(field, message) {
+        const hasError = Boolean(message);
+
+        // Update field appearance
+        field.classList.toggle('error', hasError);
+        field.style.borderColor = hasError ? 'var(--color-error)' : '';
+        field.setAttribute('aria-invalid', hasError ? 'true' : 'false');
+        
+        // Show/hide error message
+        let errorElement = field.parentNode.querySelector('.error-message');
+        if (hasError) {
+            if (!errorElement) {
+                errorElement = document.createElement('div');
+                errorElement.className = 'error-message';
+                errorElement.id = `${field.id || field.name}-error`;
+                errorElement.style.cssText = `
+                    color: var(--color-error);
+                    font-size: var(--text-sm);
+                    margin-top: var(--space-1);
+                `;
+                field.parentNode.appendChild(errorElement);
+                field.setAttribute('aria-describedby', errorElement.id);
+            }
+            errorElement.textContent = message;
+        } else if (errorElement) {
+            errorElement.remove();
+            field.removeAttribute('aria-describedby');
+        }
+    }
+
+    // Declarative validation engine. Rules come from a schema object and from data-validate-*
+    // attributes on the field (attributes win), so a new field only needs markup:
+    //   data-validate-required, data-validate-required-if="field" or "field=value1,value2",
+    //   data-validate-min-length, data-validate-max-length, data-validate-pattern,
+    //   data-validate-match="field", data-validate-custom="phone", data-validate-async="url-resolves",
+    //   data-validate-async-endpoint, data-validate-label and data-validate-<rule>-message
+    const ASYNC_VALIDATION_TIMEOUT = 5000;
+
+    // Message keys in the i18n catalogs
+    const validationMessages = {
+        required: 'validation.required',
+        minLength: 'validation.minLength',
+        maxLength: 'validation.maxLength',
+        pattern: 'validation.pattern',
+        match: 'validation.match',
+        custom: 'validation.custom',
+        async: 'validation.async'
+    };
+
+    // Custom validators get (value, field, form) and return true, false or an error message
+    // (or an i18n message key).
+    // Having the form means they can also express cross-field rules.
+    const fieldValidators = {
+        phone: (value) => {
+            const digits = value.replace(/\D/g, '');
+            return (/^[+()\d\s.-]+$/.test(value) && digits.length >= 7 && digits.length <= 15)
+                || 'validation.phone';
+        }
+    };
+
+    // Async validators also get { endpoint, signal } and resolve to true, false or a message.
+    // Failures resolve as valid - an outage in a checker must never block a lead.
+    const asyncFieldValidators = {
+        'url-resolves': async (value, field, { endpoint, signal }) => {
+            // Nothing to check against until an endpoint is configured
+            if (!endpoint) return true;
+
+            const separator = endpoint.includes('?') ? '&' : '?';
+            const response = await fetch(`${endpoint}${separator}url=${encodeURIComponent(value)}`, {
+                signal,
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+            if (!response.ok) return true;
+
+            const result = await readJson(response);
+            if (!result || (result.resolves !== false && result.valid !== false)) return true;
+            return result.message || 'validation.urlUnreachable';
+        }
+    };
+
+    function registerFieldValidator(name, validator, { async = false } = {}) {
+        if (typeof validator !== 'function') {
+            throw new TypeError(`Validator "${name}" must be a function`);
+        }
+        (async ? asyncFieldValidators : fieldValidators)[name] = validator;
+    }
+
+    function formatMessage(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match);
+    }
+
+    const VALIDATION_RULE_NAMES = ['required', 'minLength', 'maxLength', 'pattern', 'match', 'custom', 'async'];
+
+    function readAttributeRules(field) {
+        const data = field.dataset;
+        const rules = { messages: {} };
+
+        if (field.hasAttribute('required') || 'validateRequired' in data) {
+            rules.required = data.validateRequired !== 'false';
+        }
+        if (data.validateRequiredIf) rules.requiredIf = data.validateRequiredIf;
+
+        const minLength = data.validateMinLength || field.getAttribute('minlength');
+        const maxLength = data.validateMaxLength || field.getAttribute('maxlength');
+        if (minLength) rules.minLength = Number(minLength);
+        if (maxLength) rules.maxLength = Number(maxLength);
+
+        if (data.validatePattern) {
+            try {
+                // Anchored the same way as the native pattern attribute
+                rules.pattern = new RegExp(`^(?:${data.validatePattern})$`);
+            } catch (error) {
+                handleError(error, `Validation pattern for ${field.name}`);
+            }
+        }
+
+        if (data.validateMatch) rules.match = data.validateMatch;
+        if (data.validateCustom) rules.custom = data.validateCustom.split(/\s+/).filter(Boolean);
+        if (data.validateAsync) rules.async = data.validateAsync;
+        if (data.validateAsyncEndpoint) rules.asyncEndpoint = data.validateAsyncEndpoint;
+        if (data.validateLabel) rules.label = data.validateLabel;
+        if (data.validateMessage) rules.message = data.validateMessage;
+
+        VALIDATION_RULE_NAMES.forEach(rule => {
+            const message = data[`validate${rule.charAt(0).toUpperCase() + rule.slice(1)}Message`];
+            if (message) rules.messages[rule] = message;
+        });
+
+        return rules;
+    }
+
+    function getFieldValue(field) {
+        if (!field) return '';
+        if (field.type === 'checkbox' || field.type === 'radio') {
+            return field.checked ? field.value : '';
+        }
+        return String(field.value || '').trim();
+    }
+
+    function createFormValidator(form, { schema = {} } = {}) {
+        const asyncState = new WeakMap();
+        const touchedFields = new WeakSet();
+
+        // The engine owns validation and messaging; skip the browser's own bubbles
+        form.noValidate = true;
+
+        function getField(name) {
+            const field = form.elements.namedItem(name);
+            // Radio groups come back as a RadioNodeList
+            return field && !field.tagName && field.length ? field[0] : field;
+        }
+
+        function getValue(name) {
+            const field = form.elements.namedItem(name);
+            if (field && !field.tagName) return String(field.value || '').trim();
+            return getFieldValue(field);
+        }
+
+        function getRules(field) {
+            const base = schema[field.name];
+            const attributeRules = readAttributeRules(field);
+            const hasAttributeRules = Object.keys(attributeRules).length > 1
+                || Object.keys(attributeRules.messages).length > 0;
+
+            if (!base && !hasAttributeRules) return null;
+            return {
+                ...base,
+                ...attributeRules,
+                messages: { ...(base && base.messages), ...attributeRules.messages }
+            };
+        }
+
+        function getLabel(field, rules) {
+            if (rules && rules.label) return i18n.t(rules.label);
+
+            const label = field.id && form.querySelector(`label[for="${field.id}"]`);
+            if (label) {
+                return label.textContent.replace(/\(.*?\)/g, '').trim();
+            }
+            const name = field.name.replace(/[_-]+/g, ' ');
+            return name.charAt(0).toUpperCase() + name.slice(1);
+        }
+
+        // "business_type" or "business_type=other,fitness"
+        function isConditionMet(condition) {
+            const [name, expected] = condition.split('=');
+            const value = getValue(name.trim());
+            if (expected === undefined) return Boolean(value);
+            return expected.split(',').map(option => option.trim()).includes(value);
+        }
+
+        function getSyncError(field, rules) {
+            const value = getFieldValue(field);
+            const label = getLabel(field, rules);
+            const message = (rule, values = {}) => i18n.t(
+                rules.messages[rule] || (rule === 'pattern' && rules.message) || validationMessages[rule],
+                { label, ...values }
+            );
+
+            const isRequired = rules.required || Boolean(rules.requiredIf && isConditionMet(rules.requiredIf));
+            if (!value) {
+                return isRequired ? message('required') : '';
+            }
+            if (rules.pattern && !rules.pattern.test(value)) {
+                return message('pattern');
+            }
+            if (rules.minLength && value.length < rules.minLength) {
+                return message('minLength', { minLength: rules.minLength, count: rules.minLength });
+            }
+            if (rules.maxLength && value.length > rules.maxLength) {
+                return message('maxLength', { maxLength: rules.maxLength, count: rules.maxLength });
+            }
+            if (rules.match && value !== getValue(rules.match)) {
+                const other = getField(rules.match);
+                return message('match', { matchLabel: other ? getLabel(other, getRules(other)) : rules.match });
+            }
+
+            for (const custom of [].concat(rules.custom || [])) {
+                const validator = typeof custom === 'function' ? custom : fieldValidators[custom];
+                if (!validator) continue;
+
+                const result = validator(value, field, form);
+                if (result !== true) {
+                    return typeof result === 'string' ? i18n.t(result) : message('custom');
+                }
+            }
+
+            return '';
+        }
+
+        function runAsync(field, rules) {
+            const value = getFieldValue(field);
+            const validator = asyncFieldValidators[rules.async];
+            if (!value || !validator) return Promise.resolve(true);
+
+            const previous = asyncState.get(field);
+            if (previous && previous.value === value) return previous.promise;
+            if (previous && previous.controller) previous.controller.abort();
+
+            const controller = 'AbortController' in window ? new AbortController() : null;
+            const state = { value, controller, message: null, promise: null, pending: true };
+            const endpoint = rules.asyncEndpoint || form.dataset.validateAsyncEndpoint || '';
+            let timer = null;
+            const timeout = new Promise(resolve => {
+                timer = setTimeout(() => {
+                    // Too slow counts as valid - and the request behind it is stopped, not left running
+                    if (controller) controller.abort();
+                    resolve(true);
+                }, ASYNC_VALIDATION_TIMEOUT);
+            });
+
+            field.setAttribute('aria-busy', 'true');
+
+            state.promise = Promise.race([
+                validator(value, field, { endpoint, signal: controller && controller.signal, form }),
+                timeout
+            ])
+                .catch(error => {
+                    if (error.name !== 'AbortError') {
+                        handleError(error, 'Async Validation');
+                    }
+                    return true;
+                })
+                .then(result => {
+                    clearTimeout(timer);
+                    state.pending = false;
+                    state.message = result === true
+                        ? ''
+                        : (typeof result === 'string'
+                            ? i18n.t(result)
+                            : i18n.t(rules.messages.async || validationMessages.async, { label: getLabel(field, rules) }));
+
+                    // Only the latest check for the current value gets to touch the UI
+                    if (asyncState.get(field) === state) {
+                        field.removeAttribute('aria-busy');
+                        if (getFieldValue(field) === value) {
+                            setFieldError(field, state.message);
+                        }
+                    }
+                    return !state.message;
+                });
+
+            asyncState.set(field, state);
+            return state.promise;
+        }
+
+        // Synchronous rules; async rules are started in the background and report when they settle
+        function validateField(field) {
+            const rules = getRules(field);
+            // Disabled fields belong to another business type and aren't submitted
+            if (!rules || field.disabled) return true;
+
+            touchedFields.add(field);
+
+            const message = getSyncError(field, rules);
+            if (message) {
+                setFieldError(field, message);
+                return false;
+            }
+
+            if (rules.async) {
+                const state = asyncState.get(field);
+                if (state && state.value === getFieldValue(field) && state.message) {
+                    setFieldError(field, state.message);
+                    return false;
+                }
+                runAsync(field, rules);
+            }
+
+            setFieldError(field, '');
+            return true;
+        }
+
+        async function validateFieldAsync(field) {
+            if (!validateField(field)) return false;
+
+            const rules = getRules(field);
+            if (!rules || !rules.async || field.disabled) return true;
+            return runAsync(field, rules);
+        }
+
+        async function validateFields(fields) {
+            const results = await Promise.all(Array.from(fields).map(validateFieldAsync));
+            return results.every(Boolean);
+        }
+
+        // A check still running for what the field used to say is pointless once the visitor types on
+        form.addEventListener('input', (e) => {
+            const state = asyncState.get(e.target);
+            if (!state || !state.pending || state.value === getFieldValue(e.target)) return;
+
+            if (state.controller) state.controller.abort();
+            asyncState.delete(e.target);
+            e.target.removeAttribute('aria-busy');
+        });
+
+        // Cross-field rules: re-check fields that depend on the one that just changed
+        form.addEventListener('change', (e) => {
+            const name = e.target.name;
+            if (!name) return;
+
+            Array.from(form.elements).forEach(field => {
+                if (field === e.target || !touchedFields.has(field)) return;
+
+                const rules = getRules(field);
+                const dependsOn = rules && (rules.match === name
+                    || (rules.requiredIf && rules.requiredIf.split('=')[0].trim() === name));
+                if (dependsOn) {
+                    validateField(field);
+                }
+            });
+        });
+
+        return {
+            validateField,
+            validateFieldAsync,
+            validateFields,
+            getRules
+        };
+    }
+
+    // Multi-step wizard for the audit form: business type -> type-specific questions -> contact details
+    function createFormWizard(form, { validateField }) {
+        const steps = Array.from(form.querySelectorAll('.wizard-step'));
+        if (steps.length < 2) return null;
+
+        const backButton = form.querySelector('[data-wizard-back]');
+        const nextButton = form.querySelector('[data-wizard-next]');
+        const submitButton = form.querySelector('.btn-submit');
+        const indicators = Array.from(form.querySelectorAll('[data-step-indicator]'));
+        const progressBar = form.querySelector('.wizard-progress-bar');
+        const progressFill = form.querySelector('.wizard-progress-fill');
+        const statusElement = form.querySelector('[data-wizard-status]');
+        const typePanels = Array.from(form.querySelectorAll('.wizard-panel[data-business-type]'));
+        const businessTypeInput = form.querySelector('#business-type');
+
+        let currentStep = 0;
+
+        function getStepFields(step) {
+            return Array.from(step.querySelectorAll('input, select, textarea'))
+                .filter(field => !field.disabled && field.type !== 'hidden');
+        }
+
+        // Only the panel for the selected business type is shown and submitted
+        function syncTypePanels() {
+            const type = businessTypeInput ? businessTypeInput.value : '';
+            typePanels.forEach(panel => {
+                const isActive = panel.getAttribute('data-business-type') === type;
+                panel.hidden = !isActive;
+                panel.querySelectorAll('input, select, textarea').forEach(field => {
+                    field.disabled = !isActive;
+                });
+            });
+        }
+
+        function render({ focus = true } = {}) {
+            const isFirst = currentStep === 0;
+            const isLast = currentStep === steps.length - 1;
+
+            steps.forEach((step, index) => {
+                step.hidden = index !== currentStep;
+            });
+
+            indicators.forEach((indicator, index) => {
+                indicator.classList.toggle('is-complete', index < currentStep);
+                indicator.classList.toggle('is-current', index === currentStep);
+                if (index === currentStep) {
+                    indicator.setAttribute('aria-current', 'step');
+                } else {
+                    indicator.removeAttribute('aria-current');
+                }
+            });
+
+            const title = steps[currentStep].querySelector('.wizard-step-title');
+            const stepLabel = i18n.t('wizard.status', { step: currentStep + 1, total: steps.length })
+                + (title ? `: ${title.textContent.trim()}` : '');
+
+            if (progressBar) {
+                progressBar.setAttribute('aria-valuenow', String(currentStep + 1));
+                progressBar.setAttribute('aria-valuetext', stepLabel);
+            }
+            if (progressFill) {
+                progressFill.style.width = `${((currentStep + 1) / steps.length) * 100}%`;
+            }
+            if (statusElement) {
+                statusElement.textContent = stepLabel;
+            }
+
+            if (backButton) backButton.hidden = isFirst;
+            if (nextButton) nextButton.hidden = isLast;
+            if (submitButton) submitButton.hidden = !isLast;
+
+            if (focus) {
+                // Land on the selected card in step 1, otherwise the first field of the step
+                const target = steps[currentStep].querySelector('.business-type-card.active')
+                    || getStepFields(steps[currentStep])[0];
+                if (target) {
+                    target.focus();
+                }
+            }
+        }
+
+        // validateField may be async (remote checks), so steps always validate asynchronously
+        async function validateStep(index) {
+            const fields = getStepFields(steps[index]);
+            const results = await Promise.all(fields.map(field => validateField(field)));
+            const firstInvalid = fields.find((field, i) => !results[i]);
+
+            if (firstInvalid) {
+                firstInvalid.focus();
+            }
+            return !firstInvalid;
+        }
+
+        function goTo(index, options) {
+            currentStep = Math.max(0, Math.min(index, steps.length - 1));
+            errorReporter.addBreadcrumb('form', `${form.id} step ${currentStep + 1} of ${steps.length}`);
+            render(options);
+        }
+
+        async function next() {
+            const step = currentStep;
+            if (!(await validateStep(step))) return false;
+
+            // Ignore a slow validation that finished after the visitor moved on
+            if (step === currentStep) {
+                goTo(step + 1);
+            }
+            return true;
+        }
+
+        function back() {
+            goTo(currentStep - 1);
+        }
+
+        function reset() {
+            syncTypePanels();
+            goTo(0, { focus: false });
+        }
+
+        // Jump back to whichever step holds a field (used when the final check fails)
+        function showField(field) {
+            const index = steps.findIndex(step => step.contains(field));
+            if (index !== -1 && index !== currentStep) {
+                goTo(index, { focus: false });
+            }
+        }
+
+        if (backButton) backButton.addEventListener('click', back);
+        if (nextButton) nextButton.addEventListener('click', next);
+
+        // Enter moves forward instead of submitting half the wizard
+        form.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || e.isComposing || currentStep === steps.length - 1) return;
+            if (e.target.matches('textarea, button:not(.business-type-card)')) return;
+
+            e.preventDefault();
+            next();
+        });
+
+        window.addEventListener('businessTypeSelected', syncTypePanels);
+        // Status text repeats the step title, so redraw it in the new language
+        i18n.onChange(() => render({ focus: false }));
+
+        form.classList.add('wizard-active');
+        reset();
+
+        return {
+            next,
+            back,
+            goTo,
+            reset,
+            showField,
+            isLastStep: () => currentStep === steps.length - 1
+        };
+    }
+
+    // 6. Enhanced contact form with better validation and UX
+    function initContactForm() {
+        const form = document.getElementById('contact-form');
+        if (!form) return;
+
+        const submitButton = form.querySelector('.btn-submit');
+        const draftNotice = document.getElementById('form-draft-notice');
+        const inputs = form.querySelectorAll('input, select, textarea');
+        
+        // Real-time validation - fields can add or override rules with data-validate-* attributes
+        const validationSchema = {
+            name: {
+                label: 'validation.label.name',
+                required: true,
+                minLength: 2,
+                maxLength: 80,
+                // Any script's letters - José Núñez is a valid name
+                pattern: /^[\p{L}\s'.-]+$/u,
+                message: 'validation.name.invalid'
+            },
+            email: {
+                label: 'validation.label.email',
+                required: true,
+                maxLength: 254,
+                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+                message: 'validation.email.invalid'
+            },
+            website: {
+                maxLength: 2048,
+                pattern: /^https?:\/\/.+/,
+                message: 'validation.website.invalid'
+            },
+            chair_count: {
+                required: true,
+                pattern: /^\d{1,2}$/,
+                message: 'validation.chairCount.invalid',
+                messages: { required: 'validation.chairCount.required' }
+            },
+            monthly_new_patients: {
+                pattern: /^\d+$/,
+                message: 'validation.wholeNumber'
+            },
+            trial_offer: {
+                required: true,
+                messages: { required: 'validation.trialOffer.required' }
+            },
+            active_members: {
+                pattern: /^\d+$/,
+                message: 'validation.wholeNumber'
+            },
+            vertical: {
+                required: true,
+                minLength: 2,
+                maxLength: 80,
+                messages: { required: 'validation.vertical.required' }
+            }
+        };
+
+        const validator = createFormValidator(form, { schema: validationSchema });
+        const { validateField } = validator;
+
+        // Map endpoint validation errors onto fields; returns false if none could be shown inline
+        function showServerErrors(errors) {
+            let firstField = null;
+            errors.forEach(({ field: name, message }) => {
+                const field = name && form.elements.namedItem(name);
+                if (field && field.parentNode) {
+                    setFieldError(field, message);
+                    firstField = firstField || field;
+                }
+            });
+
+            if (firstField) {
+                firstField.focus();
+                firstField.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+            return Boolean(firstField);
+        }
+
+        let emailTouched = false;
+        let isSubmitted = false;
+
+        // Add real-time validation to inputs
+        inputs.forEach(input => {
+            // Validate on blur
+            input.addEventListener('blur', () => {
+                validateField(input);
+                if (input.name === 'email') emailTouched = true;
+            });
+            
+            // Clear validation on input
+            input.addEventListener('input', () => setFieldError(input, ''));
+        });
+
+        const wizard = createFormWizard(form, { validateField: validator.validateFieldAsync });
+
+        // Name, email and business type carry over into the booking calendar
+        form.addEventListener('change', () => updateBookingPrefill(form));
+        window.addEventListener('businessTypeSelected', () => updateBookingPrefill(form));
+
+        // Draft autosave - the honeypot never goes into storage
+        function getDraftFields() {
+            return Array.from(form.elements).filter(field =>
+                field.name && field.name !== 'website_url' && !['submit', 'button', 'file', 'password'].includes(field.type)
+            );
+        }
+
+        const saveDraft = debounce(() => {
+            const values = {};
+            getDraftFields().forEach(field => {
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    if (field.checked) values[field.name] = field.value;
+                } else if (field.value) {
+                    values[field.name] = field.value;
+                }
+            });
+
+            // The preselected business type alone isn't worth keeping
+            const hasInput = Object.keys(values).some(name => name !== 'business_type');
+            if (hasInput) {
+                formDrafts.save(form.id, values);
+            }
+        }, 500);
+
+        form.addEventListener('input', saveDraft);
+        form.addEventListener('change', saveDraft);
+        window.addEventListener('businessTypeSelected', (e) => {
+            if (!e.detail.initial) saveDraft();
+        });
+
+        const draft = formDrafts.load(form.id);
+        if (draft) {
+            getDraftFields().forEach(field => {
+                if (!(field.name in draft)) return;
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    field.checked = draft[field.name] === field.value;
+                } else if (field.name !== 'business_type') {
+                    // The business type card was already restored by the selector
+                    field.value = draft[field.name];
+                }
+            });
+
+            updateBookingPrefill(form);
+            if (draftNotice) draftNotice.hidden = false;
+        }
+
+        if (draftNotice) {
+            const clearButton = draftNotice.querySelector('[data-draft-clear]');
+            if (clearButton) {
+                clearButton.addEventListener('click', resetForm);
+            }
+        }
+
+        function showSuccessMessage() {
+            toasts.success(i18n.t('form.success'), {
+                id: 'form-status',
+                title: i18n.t('form.sent'),
+                duration: siteSettings.successMessageDuration
+            });
+        }
+
+        // Nothing was saved, so offer another go and a way around the form
+        function showErrorMessage() {
+            toasts.error(i18n.t('form.error', { email: siteSettings.contactEmail }), {
+                id: 'form-status',
+                title: i18n.t('form.failed'),
+                actions: [
+                    { label: i18n.t('toast.retry'), onClick: () => submitButton && submitButton.click() },
+                    copyEmailAction()
+                ]
+            });
+        }
+
+        function resetForm() {
+            form.reset();
+            
+            // Reset business type to default
+            const businessTypeInput = document.getElementById('business-type');
+            if (businessTypeInput) {
+                businessTypeInput.value = siteSettings.defaultBusinessType;
+            }
+            
+            // Reset active business type card
+            const businessTypeCards = document.querySelectorAll('.business-type-card');
             businessTypeCards.forEach(card => {
-                card.classList.remove('active');
-                card.setAttribute('aria-pressed', 'false');
+                const isDefault = card.getAttribute('data-type') === siteSettings.defaultBusinessType;
+                card.classList.toggle('active', isDefault);
+                card.setAttribute('aria-pressed', String(isDefault));
+            });
+
+            if (wizard) {
+                wizard.reset();
+            }
+
+            formDrafts.clear(form.id);
+            if (draftNotice) draftNotice.hidden = true;
+        }
+
+        // A lead queued from this form went out - swap the offline notice for the normal confirmation.
+        // Leads the capture overlay queued are its own business
+        let hasQueuedLead = false;
+        window.addEventListener('submissionQueueSent', (e) => {
+            if (e.detail.formId !== form.id) return;
+
+            if (hasQueuedLead) {
+                hasQueuedLead = false;
+                toasts.dismiss('form-queued');
+                showSuccessMessage();
+            }
+
+            analytics.track('form_submit', {
+                form_id: form.id,
+                status: 'sent_from_queue'
+            });
+        });
+
+        // Form submission with enhanced error handling
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            // Until the last step, submitting just advances the wizard
+            if (wizard && !wizard.isLastStep()) {
+                wizard.next();
+                return;
+            }
+            
+            // Validate all fields, including async checks
+            const isFormValid = await validator.validateFields(inputs);
+
+            if (!isFormValid) {
+                // Focus first invalid field
+                const firstError = form.querySelector('.error');
+                if (firstError) {
+                    if (wizard) {
+                        wizard.showField(firstError);
+                    }
+                    firstError.focus();
+                    firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+                return;
+            }
+
+            // Check honeypot
+            const honeypot = form.querySelector('input[name="website_url"]');
+            if (honeypot && honeypot.value) {
+                return; // Silent fail for bots
+            }
+
+            updateBookingPrefill(form);
+
+            // Update button state
+            const originalButtonText = submitButton.innerHTML;
+            if (submitButton) {
+                submitButton.disabled = true;
+                submitButton.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${i18n.t('form.sending')}`;
+                submitButton.classList.add('loading');
+            }
+
+            const transportConfig = getTransportConfig(form);
+            let formData = null;
+            let lead = null;
+
+            try {
+                formData = new FormData(form);
+                
+                // Add additional data
+                formData.append('timestamp', new Date().toISOString());
+                formData.append('user_agent', navigator.userAgent);
+                attribution.appendTo(formData);
+                experiments.appendTo(formData);
+                roiCalculator.appendTo(formData);
+                availability.appendTo(formData);
+
+                // Lead score for triage - the subject line makes hot leads stand out in the inbox
+                const engagement = pageEngagement.getSnapshot();
+                lead = scoreLead(formData, engagement);
+                formData.append('lead_score', String(lead.score));
+                formData.append('lead_tier', lead.tier);
+                formData.append('lead_signals', lead.signals.map(({ signal, points }) => `${signal}=${points}`).join('; '));
+                formData.append('sections_viewed', engagement.sectionsViewed.join(', '));
+                formData.append('time_on_page', String(Math.round(engagement.timeOnPage / 1000)));
+                formData.append('pricing_read', lead.pricingRead ? 'yes' : 'no');
+                const requestType = availability.isWaitlist() ? 'Waitlist request' : 'Free audit request';
+                formData.append('_subject', `[${lead.tier.toUpperCase()} ${lead.score}] ${requestType} - ${formData.get('business_type') || 'unknown'}`);
+                
+                await sendSubmission(transportConfig, formData);
+                isSubmitted = true;
+
+                // Success handling
+                showSuccessMessage();
+                resetForm();
+                
+                // Analytics event
+                analytics.track('form_submit', {
+                    form_id: form.id,
+                    status: 'sent',
+                    business_type: formData.get('business_type') || undefined,
+                    lead_score: lead.score,
+                    lead_tier: lead.tier
+                });
+            } catch (error) {
+                handleError(error, 'Form Submission');
+
+                const isQueued = Boolean(formData) && isRetryableError(error);
+
+                if (isQueued) {
+                    // Keep the lead and send it once the connection is back
+                    submissionQueue.enqueue(transportConfig, formData, error, form.id);
+                    isSubmitted = true;
+                    resetForm();
+
+                    // Stays up until the queue sends it, then showSuccessMessage takes over
+                    hasQueuedLead = true;
+                    toasts.warning(i18n.t('form.queued'), {
+                        id: 'form-queued',
+                        title: i18n.t('form.queuedTitle'),
+                        duration: 0
+                    });
+                } else {
+                    // Fields the endpoint rejected are flagged inline, anything else gets the generic message
+                    const shownInline = error.result && showServerErrors(error.result.errors);
+                    if (!shownInline) {
+                        showErrorMessage();
+                    }
+                }
+                
+                // Analytics event (handleError has already reported the exception itself)
+                analytics.track('form_submit', {
+                    form_id: form.id,
+                    status: isQueued ? 'queued' : 'failed',
+                    business_type: formData ? formData.get('business_type') || undefined : undefined,
+                    lead_score: lead ? lead.score : undefined,
+                    lead_tier: lead ? lead.tier : undefined
+                });
+            } finally {
+                // Reset button state
+                if (submitButton) {
+                    submitButton.disabled = false;
+                    submitButton.innerHTML = originalButtonText;
+                    submitButton.classList.remove('loading');
+                }
+            }
+        });
+
+        // Partial lead recovery - a valid email from someone who never submitted goes to a separate
+        // endpoint (data-partial-lead-endpoint), and only with marketing consent
+        let partialLeadSent = false;
+
+        window.addEventListener('pagehide', () => {
+            const partialLeadEndpoint = form.getAttribute('data-partial-lead-endpoint');
+            if (!partialLeadEndpoint || partialLeadSent || isSubmitted || !emailTouched) return;
+            if (!consent.has('marketing')) return;
+
+            const emailField = form.elements.namedItem('email');
+            if (!emailField || !validateField(emailField)) return;
+
+            const formData = new FormData(form);
+            formData.delete('website_url');
+            formData.append('_subject', 'Partial audit request');
+            formData.append('lead_status', 'partial');
+            attribution.appendTo(formData);
+            experiments.appendTo(formData);
+            roiCalculator.appendTo(formData);
+            availability.appendTo(formData);
+
+            // The page is going away - a beacon survives that, fetch keepalive is the fallback
+            const body = new URLSearchParams();
+            formData.forEach((value, key) => {
+                if (typeof value === 'string' && value) body.append(key, value);
+            });
+
+            partialLeadSent = navigator.sendBeacon && navigator.sendBeacon(partialLeadEndpoint, body);
+            if (!partialLeadSent) {
+                fetch(partialLeadEndpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+                partialLeadSent = true;
+            }
+        });
+    }
+
+    // 7. Enhanced Calendly modal with better loading and error handling
+    function initCalendlyModal() {
+        const modal = document.getElementById('calendly-modal');
+        const iframe = document.getElementById('calendly-iframe');
+        const loadingElement = modal?.querySelector('.calendly-loading');
+        
+        if (!modal) return;
+
+        const dialog = dialogs.register(modal);
+        let iframeLoaded = false;
+
+        const confirmation = modal.querySelector('.calendly-confirmation');
+        let loadedUrl = '';
+        let loadTimeout = null;
+        let isBooked = false;
+        let closeAfterBookingTimer = null;
+
+        // Resolved on first open so configuration set after page load still applies
+        let provider = null;
+
+        function getProvider() {
+            if (!provider) {
+                try {
+                    provider = createSchedulingProvider(modal);
+                } catch (error) {
+                    // A typo in the markup shouldn't take the booking flow down with it - fall back to the
+                    // configured provider (Calendly if that's unknown too), or to no calendar at all
+                    handleError(error, 'Scheduling provider');
+                    const fallback = schedulingProviders[schedulerSettings.provider] || schedulingProviders.calendly;
+                    try {
+                        provider = fallback(schedulerSettings);
+                    } catch (fallbackError) {
+                        handleError(fallbackError, 'Scheduling provider');
+                    }
+                }
+            }
+            return provider;
+        }
+
+        function buildBookingUrl() {
+            const url = getProvider().buildUrl(bookingPrefill);
+            return attribution.applyToSchedulerUrl(url).toString();
+        }
+
+        function showLoadError() {
+            if (!loadingElement) return;
+
+            clearTimeout(loadTimeout);
+            loadingElement.innerHTML = `
+                <div style="text-align: center; padding: 2rem;">
+                    <p>${i18n.t('calendar.loadError')}</p>
+                    <a href="mailto:${siteSettings.contactEmail}" style="color: var(--color-accent-dark);">${siteSettings.contactEmail}</a>
+                </div>
+            `;
+            loadingElement.style.display = '';
+
+            toasts.error(i18n.t('calendar.loadError'), {
+                id: 'calendar-error',
+                actions: [
+                    {
+                        label: i18n.t('toast.retry'),
+                        onClick: () => {
+                            loadedUrl = '';
+                            if (dialog.isOpen()) {
+                                loadCalendar();
+                            } else {
+                                dialog.open();
+                            }
+                        }
+                    },
+                    copyEmailAction()
+                ]
+            });
+        }
+
+        if (iframe) {
+            // Handle iframe load
+            iframe.addEventListener('load', () => {
+                if (!loadedUrl) return;
+                iframeLoaded = true;
+                clearTimeout(loadTimeout);
+                if (loadingElement) {
+                    loadingElement.style.display = 'none';
+                }
+            });
+
+            // Handle iframe error
+            iframe.addEventListener('error', showLoadError);
+        }
+
+        function loadCalendar() {
+            if (!iframe) return;
+            if (!getProvider()) {
+                showLoadError();
+                return;
+            }
+
+            // Only reload when the prefill changed since the last load
+            const url = buildBookingUrl();
+            if (url === loadedUrl) return;
+
+            loadedUrl = url;
+            iframeLoaded = false;
+            if (loadingElement) {
+                loadingElement.innerHTML = `
+                    <div class="loading-spinner"></div>
+                    <p>${i18n.t('calendar.loading')}</p>
+                `;
+                loadingElement.style.display = '';
+            }
+            iframe.hidden = false;
+            iframe.src = url;
+
+            // Timeout for loading
+            clearTimeout(loadTimeout);
+            loadTimeout = setTimeout(() => {
+                if (!iframeLoaded && loadingElement) {
+                    loadingElement.innerHTML = `
+                        <div style="text-align: center;">
+                            <p>${i18n.t('calendar.slow')}</p>
+                            <button onclick="location.reload()" style="margin-top: 1rem; padding: 0.5rem 1rem; background: var(--color-accent); border: none; border-radius: 4px; cursor: pointer;">
+                                ${i18n.t('calendar.refresh')}
+                            </button>
+                        </div>
+                    `;
+                }
+            }, 10000);
+        }
+
+        function handleBooking({ eventUri, inviteeUri }) {
+            if (isBooked) return;
+            isBooked = true;
+
+            analytics.track('calendly_booked', {
+                event_uri: eventUri,
+                invitee_uri: inviteeUri
+            });
+
+            if (confirmation) {
+                confirmation.hidden = false;
+                if (iframe) iframe.hidden = true;
+                confirmation.focus();
+            }
+
+            // Leave the confirmation up long enough to read, then close
+            closeAfterBookingTimer = setTimeout(() => dialog.close(), 8000);
+        }
+
+        // Providers that support it report each step of the booking flow through postMessage
+        window.addEventListener('message', (e) => {
+            if (!provider || !loadedUrl) return;
+
+            const message = provider.parseMessage(e);
+            if (!message) return;
+
+            switch (message.type) {
+                case 'step':
+                    analytics.track('calendly_step', { step: message.step });
+                    break;
+                case 'booked':
+                    handleBooking(message);
+                    break;
+                case 'error':
+                    // Try again from scratch the next time the modal opens
+                    loadedUrl = '';
+                    if (iframe) iframe.hidden = true;
+                    showLoadError();
+                    break;
+            }
+        });
+
+        // Calendly sets its own cookies, so ask before loading it
+        function showEmbedConsent() {
+            if (!loadingElement) return;
+            if (!getProvider()) {
+                showLoadError();
+                return;
+            }
+
+            loadingElement.innerHTML = `
+                <div class="embed-consent">
+                    <p data-embed-consent-text></p>
+                    <button type="button" class="btn btn-primary" data-allow-embeds>${i18n.t('calendar.allow')}</button>
+                    <p class="embed-consent-alt">${i18n.t('calendar.emailInstead')} <a href="mailto:${siteSettings.contactEmail}">${siteSettings.contactEmail}</a></p>
+                </div>
+            `;
+
+            // The label can come from page markup or config, so it never goes through innerHTML
+            const consentText = loadingElement.querySelector('[data-embed-consent-text]');
+            consentText.textContent = i18n.t('calendar.embedConsent', { provider: getProvider().label });
+
+            loadingElement.querySelector('[data-allow-embeds]').addEventListener('click', () => {
+                consent.set({ embeds: true });
+            });
+        }
+
+        // Embeds allowed from here or from the banner while the modal is open
+        consent.onChange((categories) => {
+            if (categories.embeds && dialog.isOpen()) {
+                loadCalendar();
+                dialogs.focus(modal);
+            }
+        });
+
+        modal.addEventListener('dialogOpen', (e) => {
+            const { opener } = e.detail;
+            analytics.track('calendly_open', {
+                source: (opener && (opener.getAttribute('data-cta') || opener.id)) || 'unknown'
+            });
+
+            // Load iframe (or refresh its prefill) - third-party embeds wait for consent
+            if (iframe) {
+                if (consent.has('embeds')) {
+                    loadCalendar();
+                } else if (!loadedUrl) {
+                    showEmbedConsent();
+                }
+            }
+        });
+
+        // After a booking, the next open starts from a fresh calendar
+        modal.addEventListener('dialogClose', () => {
+            clearTimeout(closeAfterBookingTimer);
+            if (isBooked) {
+                isBooked = false;
+                loadedUrl = '';
+                if (confirmation) confirmation.hidden = true;
+                if (iframe) iframe.hidden = false;
+            }
+        });
+    }
+
+    // 8. Enhanced scroll animations with performance optimizations
+    function initScrollAnimations() {
+        const animatedElements = document.querySelectorAll('[class*="animate-"], .card, .service-card, .approach-card');
+        if (animatedElements.length === 0) return;
+
+        const observerOptions = {
+            root: null,
+            rootMargin: '0px 0px -50px 0px',
+            threshold: 0.1
+        };
+
+        const observer = createIntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('animate-in');
+                    // Unobserve to prevent re-triggering
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, observerOptions);
+
+        animatedElements.forEach(element => {
+            observer.observe(element);
+        });
+
+        return () => observer.disconnect();
+    }
+
+    // 9. Performance monitoring and optimization
+    function initPerformanceMonitoring() {
+        if (!webVitals.start()) return;
+
+        // Final LCP, CLS and INP values are only known once the visitor leaves or switches tabs
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') webVitals.flush();
+        });
+        window.addEventListener('pagehide', () => webVitals.flush());
+    }
+
+    // 10. Enhanced error handling and recovery
+    function initErrorHandling() {
+        toasts.mount();
+
+        // One toast however many errors follow, with a way out
+        function notify() {
+            if (toasts.has('global-error')) return;
+            toasts.error(i18n.t('toast.unexpected'), {
+                id: 'global-error',
+                actions: [
+                    { label: i18n.t('toast.reload'), onClick: () => window.location.reload() },
+                    copyEmailAction()
+                ]
+            });
+        }
+
+        window.addEventListener('error', (e) => {
+            handleError(e.error, 'Global Error');
+            // Cross-origin scripts only report "Script error." with no error object - not ours to apologise for
+            if (e.error) notify();
+        });
+
+        window.addEventListener('unhandledrejection', (e) => {
+            handleError(e.reason, 'Unhandled Promise Rejection');
+            notify();
+        });
+
+        // Breadcrumbs - enough of the visit to reproduce a report, never what was typed
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest && e.target.closest('a, button');
+            if (!target) return;
+
+            const label = target.getAttribute('data-cta') || target.id || target.getAttribute('href')
+                || (target.getAttribute('aria-label') || target.textContent || '').trim().slice(0, 40);
+            errorReporter.addBreadcrumb('click', `${target.tagName.toLowerCase()} ${label}`);
+        }, true);
+
+        window.addEventListener('hashchange', () => {
+            errorReporter.addBreadcrumb('navigation', window.location.hash || '#');
+        });
+
+        window.addEventListener('popstate', () => {
+            errorReporter.addBreadcrumb('navigation', `popstate ${window.location.hash || window.location.pathname}`);
+        });
+
+        document.addEventListener('dialogOpen', (e) => {
+            errorReporter.addBreadcrumb('dialog', `open #${e.target.id}`);
+        });
+
+        document.addEventListener('dialogClose', (e) => {
+            errorReporter.addBreadcrumb('dialog', `close #${e.target.id}`);
+        });
+
+        // Tracked events (form starts, submits, bookings) are already PII-free
+        analytics.on('*', (name, params) => {
+            if (name !== 'exception') errorReporter.addBreadcrumb('event', name, params);
+        });
+
+        // Send what's queued before the page goes away, or as soon as reporting is allowed
+        window.addEventListener('pagehide', () => errorReporter.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') errorReporter.flush();
+        });
+        consent.onChange((categories) => {
+            if (categories.analytics) errorReporter.flush();
+        });
+    }
+
+    // 11. Replay queued form submissions on load and when the connection returns
+    function initSubmissionQueue() {
+        const handleOnline = () => submissionQueue.flush({ force: true });
+
+        window.addEventListener('online', handleOnline);
+
+        // A queued lead that will never go out - the visitor still has the email address to fall back on
+        window.addEventListener('submissionQueueDropped', () => {
+            toasts.dismiss('form-queued');
+            toasts.error(i18n.t('form.dropped', { email: siteSettings.contactEmail }), {
+                id: 'form-status',
+                title: i18n.t('form.failed'),
+                actions: [copyEmailAction()]
+            });
+        });
+        
+        // Anything left over from a previous visit goes out now
+        submissionQueue.flush({ force: true });
+
+        return () => window.removeEventListener('online', handleOnline);
+    }
+
+    // 12. Capture where this visit came from before anything else needs it
+    function initAttribution() {
+        attribution.capture();
+    }
+
+    // 13. Analytics wiring - default sinks plus the page-level events no single module owns
+    function initAnalytics() {
+        ['ga4', 'meta', 'plausible'].forEach(sink => analytics.addSink(sink));
+
+        // ?debug=analytics logs every event to the console
+        if (new URLSearchParams(window.location.search).get('debug') === 'analytics') {
+            analytics.addSink('console');
+        }
+
+        // CTA clicks - anything marked with data-cta
+        document.addEventListener('click', (e) => {
+            const cta = e.target.closest && e.target.closest('[data-cta]');
+            if (!cta) return;
+
+            // Only the text the visitor saw - experiment variants they weren't shown stay out
+            const visible = cta.cloneNode(true);
+            visible.querySelectorAll('[hidden]').forEach(element => element.remove());
+
+            analytics.track('cta_click', {
+                cta_id: cta.getAttribute('data-cta'),
+                cta_text: visible.textContent.trim().replace(/\s+/g, ' ').slice(0, 100),
+                destination: cta.getAttribute('href') || undefined
+            });
+        });
+
+        // Only real choices count, not the default card selected on load
+        window.addEventListener('businessTypeSelected', (e) => {
+            if (e.detail && !e.detail.initial) {
+                analytics.track('business_type_selected', { business_type: e.detail.type });
+            }
+        });
+
+        const form = document.getElementById('contact-form');
+        if (!form) return;
+
+        let startedAt = 0;
+        let lastField = '';
+        let isSubmitted = false;
+        // Per-field interaction: { focusCount, timeInField (ms), focusedAt, completed }
+        const fieldStats = new Map();
+
+        function isFieldCompleted(field) {
+            return Boolean(field) && !field.disabled && Boolean(getFieldValue(field)) && !field.classList.contains('error');
+        }
+
+        // One event per touched field, so drop-off can be compared against completed submissions
+        function reportFieldInteractions(outcome) {
+            fieldStats.forEach((stats, name) => {
+                analytics.track('form_field_interaction', {
+                    form_id: form.id,
+                    field: name,
+                    outcome,
+                    focus_count: stats.focusCount,
+                    time_in_field: Math.round(stats.timeInField / 100) / 10,
+                    completed: stats.completed
+                });
+            });
+            fieldStats.clear();
+        }
+
+        form.addEventListener('focusin', (e) => {
+            const field = e.target;
+            if (!field.name || field.name === 'website_url') return;
+
+            lastField = field.name;
+            if (!startedAt) {
+                startedAt = Date.now();
+                analytics.track('form_start', { form_id: form.id, field: field.name });
+            }
+
+            const stats = fieldStats.get(field.name) || { focusCount: 0, timeInField: 0, focusedAt: 0, completed: false };
+            stats.focusCount += 1;
+            stats.focusedAt = Date.now();
+            fieldStats.set(field.name, stats);
+        });
+
+        // Completion is recorded on the way out, since a successful submit resets the form
+        function leaveField(field) {
+            const stats = fieldStats.get(field.name);
+            if (stats && stats.focusedAt) {
+                stats.timeInField += Date.now() - stats.focusedAt;
+                stats.focusedAt = 0;
+                stats.completed = isFieldCompleted(field);
+            }
+        }
+
+        form.addEventListener('focusout', (e) => leaveField(e.target));
+
+        // Submitting with Enter never leaves the field
+        form.addEventListener('submit', () => {
+            if (form.contains(document.activeElement)) leaveField(document.activeElement);
+        });
+
+        analytics.on('form_submit', (name, params) => {
+            if (params.form_id === form.id && params.status !== 'failed') {
+                isSubmitted = true;
+                reportFieldInteractions('submitted');
+            }
+        });
+
+        // Started but never sent by the time the visitor leaves
+        window.addEventListener('pagehide', () => {
+            if (!startedAt || isSubmitted) return;
+
+            const fieldsCompleted = Array.from(form.elements).filter(field =>
+                field.name && field.type !== 'hidden' && field.name !== 'website_url' && !field.disabled
+                && getFieldValue(field) && !field.classList.contains('error')
+            ).length;
+
+            // Still focused when the page went away
+            const activeField = form.elements.namedItem(lastField);
+            if (activeField) leaveField(activeField);
+
+            analytics.track('form_abandon', {
+                form_id: form.id,
+                last_field: lastField,
+                fields_focused: fieldStats.size,
+                fields_completed: fieldsCompleted,
+                time_in_form: Math.round((Date.now() - startedAt) / 1000)
+            });
+            reportFieldInteractions('abandoned');
+            // One abandon per page view, even if pagehide fires again from the bfcache
+            startedAt = 0;
+        });
+    }
+
+    // 14. Consent banner, settings and everything that has to wait for a choice
+    function initConsent() {
+        const banner = document.getElementById('consent-banner');
+        const options = document.getElementById('consent-options');
+        let returnFocus = null;
+
+        // Stylesheets from third-party hosts carry their URL in data-href until they're allowed
+        function syncGatedResources(categories) {
+            document.querySelectorAll('[data-consent-category][data-href]').forEach(element => {
+                const isAllowed = categories[element.getAttribute('data-consent-category')];
+                if (isAllowed && !element.getAttribute('href')) {
+                    element.setAttribute('href', element.getAttribute('data-href'));
+                } else if (!isAllowed && element.getAttribute('href')) {
+                    element.removeAttribute('href');
+                }
             });
-            
-            // Add active to selected card
-            selectedCard.classList.add('active');
-            selectedCard.setAttribute('aria-pressed', 'true');
-            
-            // Update hidden input value
-            const businessType = selectedCard.getAttribute('data-type');
-            businessTypeInput.value = businessType || 'dental';
-            
-            // Optional: Trigger custom event for analytics
-            window.dispatchEvent(new CustomEvent('businessTypeSelected', {
-                detail: { type: businessType }
-            }));
         }
 
-        // Initialize first card as selected
-        if (businessTypeCards[0]) {
-            selectBusinessType(businessTypeCards[0]);
+        function applyConsent(categories) {
+            analytics.setConsent(categories);
+            syncGatedResources(categories);
+
+            // Google consent mode and Meta's own switch, for tags loaded outside this script
+            if (typeof window.gtag === 'function') {
+                window.gtag('consent', 'update', {
+                    analytics_storage: categories.analytics ? 'granted' : 'denied',
+                    ad_storage: categories.marketing ? 'granted' : 'denied',
+                    ad_user_data: categories.marketing ? 'granted' : 'denied',
+                    ad_personalization: categories.marketing ? 'granted' : 'denied'
+                });
+            }
+            if (typeof window.fbq === 'function') {
+                window.fbq('consent', categories.marketing ? 'grant' : 'revoke');
+            }
         }
 
-        businessTypeCards.forEach((card, index) => {
-            // Add ARIA attributes
-            card.setAttribute('role', 'button');
-            card.setAttribute('tabindex', '0');
-            card.setAttribute('aria-pressed', 'false');
-            
-            // Handle clicks
-            card.addEventListener('click', () => selectBusinessType(card));
-            
-            // Handle keyboard navigation
-            card.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    selectBusinessType(card);
+        applyConsent(consent.get());
+        consent.onChange(applyConsent);
+
+        if (!banner) return;
+
+        const saveButton = banner.querySelector('[data-consent-action="save"]');
+        const customizeButton = banner.querySelector('[data-consent-action="customize"]');
+
+        function showOptions() {
+            if (!options) return;
+            const categories = consent.get();
+            consent.categories.forEach(category => {
+                const checkbox = options.elements.namedItem(category);
+                if (checkbox) checkbox.checked = categories[category];
+            });
+            options.hidden = false;
+            if (saveButton) saveButton.hidden = false;
+            if (customizeButton) customizeButton.hidden = true;
+        }
+
+        function showBanner({ expanded = false } = {}) {
+            banner.hidden = false;
+            if (expanded) {
+                showOptions();
+            }
+        }
+
+        function hideBanner() {
+            banner.hidden = true;
+            if (options) options.hidden = true;
+            if (saveButton) saveButton.hidden = true;
+            if (customizeButton) customizeButton.hidden = false;
+
+            if (returnFocus && document.contains(returnFocus)) {
+                returnFocus.focus();
+            }
+            returnFocus = null;
+        }
+
+        banner.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent-action]');
+            if (!button) return;
+
+            switch (button.getAttribute('data-consent-action')) {
+                case 'accept':
+                    consent.acceptAll();
+                    hideBanner();
+                    break;
+                case 'reject':
+                    consent.rejectAll();
+                    hideBanner();
+                    break;
+                case 'customize':
+                    showOptions();
+                    if (options) {
+                        const firstOption = options.querySelector('input');
+                        if (firstOption) firstOption.focus();
+                    }
+                    break;
+                case 'save': {
+                    const choices = {};
+                    consent.categories.forEach(category => {
+                        const checkbox = options && options.elements.namedItem(category);
+                        choices[category] = Boolean(checkbox && checkbox.checked);
+                    });
+                    consent.set(choices);
+                    hideBanner();
+                    break;
                 }
-                
-                // Arrow key navigation
-                if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            }
+        });
+
+        // Footer "Cookie settings" and anything else that wants to reopen the choices
+        consent.open = () => {
+            returnFocus = document.activeElement;
+            showBanner({ expanded: true });
+            const firstOption = options && options.querySelector('input');
+            if (firstOption) firstOption.focus();
+        };
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest && e.target.closest('[data-consent-open]')) {
+                e.preventDefault();
+                consent.open();
+            }
+        });
+
+        if (!consent.isDecided()) {
+            showBanner();
+        }
+    }
+
+    // 15. Declarative dialogs - [data-dialog] elements, opened and closed from markup
+    function initDialogs() {
+        document.querySelectorAll('[data-dialog]').forEach(element => {
+            if (!element.hasAttribute('role')) element.setAttribute('role', 'dialog');
+            element.setAttribute('aria-modal', 'true');
+            element.setAttribute('aria-hidden', 'true');
+            if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+            dialogs.register(element);
+        });
+
+        document.addEventListener('click', (e) => {
+            const opener = e.target.closest('[data-dialog-open]');
+            if (opener) {
+                const target = document.getElementById(opener.getAttribute('data-dialog-open'));
+                if (target) {
                     e.preventDefault();
-                    const nextIndex = e.key === 'ArrowRight' 
-                        ? (index + 1) % businessTypeCards.length
-                        : (index - 1 + businessTypeCards.length) % businessTypeCards.length;
-                    businessTypeCards[nextIndex].focus();
+                    dialogs.open(target, { opener });
+                }
+                return;
+            }
+
+            const closer = e.target.closest('[data-dialog-close]');
+            const dialog = closer && closer.closest('[data-dialog]');
+            if (dialog) {
+                e.preventDefault();
+                dialogs.close(dialog, closer.getAttribute('data-dialog-close') || undefined);
+            }
+        });
+    }
+
+    // 16. Exit intent, scroll depth and inactivity offer the audit checklist to visitors on their way out
+    function initEngagementTriggers() {
+        const overlay = document.getElementById('capture-overlay');
+        const form = document.getElementById('capture-form');
+        if (!overlay || !form) return;
+
+        const settings = engagementTriggerSettings;
+        const successPanel = overlay.querySelector('[data-capture-success]');
+        const errorMessage = form.querySelector('[data-capture-error]');
+        const submitButton = form.querySelector('button[type="submit"]');
+        const isTouch = window.matchMedia('(pointer: coarse)').matches;
+        const pageLoadedAt = Date.now();
+        let shownThisPage = false;
+        let shownBy = '';
+        let formStarted = false;
+
+        dialogs.register(overlay, { initialFocus: '#capture-email' });
+
+        function readState() {
+            return localStore.get(CAPTURE_OVERLAY_KEY, null) || { shows: [], converted: false };
+        }
+
+        function markConverted() {
+            localStore.set(CAPTURE_OVERLAY_KEY, { ...readState(), converted: true });
+        }
+
+        function canShow() {
+            if (shownThisPage || formStarted || document.hidden) return false;
+            if (Date.now() - pageLoadedAt < settings.minTimeOnPage) return false;
+            // Never on top of the nav menu or the booking modal
+            if (dialogs.getOpen().length > 0) return false;
+
+            const state = readState();
+            const windowStart = Date.now() - settings.capDays * 24 * 60 * 60 * 1000;
+            const recentShows = state.shows.filter(shownAt => shownAt > windowStart);
+            return !state.converted && recentShows.length < settings.maxShows;
+        }
+
+        function show(trigger) {
+            if (!canShow()) return false;
+
+            shownThisPage = true;
+            shownBy = trigger;
+            const state = readState();
+            localStore.set(CAPTURE_OVERLAY_KEY, { ...state, shows: [...state.shows, Date.now()].slice(-10) });
+
+            dialogs.open(overlay);
+            analytics.track('lead_capture_shown', { trigger });
+            return true;
+        }
+
+        // Anyone who has already sent the audit form or booked a call is done here
+        analytics.on('form_submit', (name, { status }) => {
+            if (status !== 'failed') markConverted();
+        });
+        analytics.on('calendly_booked', markConverted);
+        // Someone filling in a form is busy converting - nothing interrupts them for the rest of the visit
+        analytics.on('form_start', () => {
+            formStarted = true;
+        });
+
+        // Desktop exit intent: the pointer leaves through the top of the viewport
+        document.addEventListener('mouseout', (e) => {
+            if (settings.exitIntent && !e.relatedTarget && e.clientY <= 0) {
+                show('exit_intent');
+            }
+        });
+
+        // Mobile exit intent: a fast upward flick towards the address bar
+        let lastTouchAt = 0;
+        let lastScroll = { y: window.scrollY, time: Date.now() };
+        window.addEventListener('touchmove', () => {
+            lastTouchAt = Date.now();
+        }, { passive: true });
+
+        const handleScroll = throttle(() => {
+            const now = Date.now();
+            const y = window.scrollY;
+            const velocity = (lastScroll.y - y) / Math.max(now - lastScroll.time, 1);
+            lastScroll = { y, time: now };
+
+            // Programmatic scrolling (nav links, scroll lock) never counts - only a finger does
+            const isFlick = isTouch && now - lastTouchAt < 500;
+            if (settings.exitIntent && isFlick && velocity > settings.fastScrollVelocity && y > window.innerHeight) {
+                show('exit_intent');
+                return;
+            }
+
+            const depth = (y + window.innerHeight) / document.documentElement.scrollHeight;
+            if (settings.scrollDepth && depth >= settings.scrollDepth) {
+                show('scroll_depth');
+            }
+        }, 100);
+        window.addEventListener('scroll', handleScroll, { passive: true });
+
+        // Mobile exit intent: the back button. The guard entry only counts once the visitor has
+        // interacted, so every touch tries to install it until the overlay is allowed to show; it is
+        // released straight away when the overlay can't be shown by the time back is pressed
+        if (isTouch) {
+            const installBackGuard = () => {
+                if (!settings.exitIntent || !canShow()) return;
+                window.removeEventListener('touchstart', installBackGuard);
+                history.pushState({ captureGuard: true }, '', window.location.href);
+
+                window.addEventListener('popstate', (e) => {
+                    if (e.state && e.state.captureGuard) return;
+                    if (!show('exit_intent')) {
+                        history.back();
+                    }
+                });
+            };
+            window.addEventListener('touchstart', installBackGuard, { passive: true });
+        }
+
+        // Inactivity: no input for a while, retried until something else opens it
+        let idleTimer = null;
+        const resetIdle = () => {
+            clearTimeout(idleTimer);
+            if (shownThisPage || !settings.inactivity) return;
+            idleTimer = setTimeout(() => {
+                if (!show('inactivity')) resetIdle();
+            }, settings.inactivity);
+        };
+        ['mousemove', 'keydown', 'scroll', 'touchstart'].forEach(type => {
+            window.addEventListener(type, throttle(resetIdle, 1000), { passive: true });
+        });
+        resetIdle();
+
+        // Checklist request
+        const validator = createFormValidator(form);
+        form.addEventListener('input', (e) => setFieldError(e.target, ''));
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (errorMessage) errorMessage.hidden = true;
+
+            const isValid = await validator.validateFields(form.querySelectorAll('input'));
+            if (!isValid) return;
+
+            const honeypot = form.querySelector('input[name="website_url"]');
+            if (honeypot && honeypot.value) return;
+
+            const formData = new FormData(form);
+            formData.append('_subject', 'Audit checklist request');
+            formData.append('lead_source', `capture_overlay:${shownBy || 'manual'}`);
+            attribution.appendTo(formData);
+            experiments.appendTo(formData);
+
+            const transportConfig = getTransportConfig(form);
+            let status = 'sent';
+            submitButton.disabled = true;
+
+            try {
+                await sendSubmission(transportConfig, formData);
+            } catch (error) {
+                handleError(error, 'Capture Form');
+
+                if (isRetryableError(error)) {
+                    submissionQueue.enqueue(transportConfig, formData, error, form.id);
+                    status = 'queued';
+                } else {
+                    status = 'failed';
+                    const shownInline = error.result && error.result.errors.some(({ field, message }) => {
+                        const input = field && form.elements.namedItem(field);
+                        if (input) setFieldError(input, message);
+                        return Boolean(input);
+                    });
+                    if (!shownInline && errorMessage) errorMessage.hidden = false;
                 }
+            } finally {
+                submitButton.disabled = false;
+            }
+
+            analytics.track('form_submit', { form_id: form.id, status });
+
+            if (status !== 'failed' && successPanel) {
+                form.hidden = true;
+                successPanel.hidden = false;
+                successPanel.focus();
+            }
+        });
+    }
+
+    // 17. Experiments - show each visitor their variant and log exposure once it's actually on screen
+    function initExperiments() {
+        const experimentElements = document.querySelectorAll('[data-experiment]');
+        if (experimentElements.length === 0) return;
+
+        const exposed = new Set();
+        const observer = createIntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                observer.unobserve(entry.target);
+
+                // Vertical copy replaces the variant, so that visitor never actually saw it
+                if (entry.target.querySelector('[data-personalized]')) return;
+
+                // One exposure per experiment, however many elements take part in it
+                const experimentId = entry.target.getAttribute('data-experiment');
+                if (exposed.has(experimentId)) return;
+                exposed.add(experimentId);
+
+                analytics.track('experiment_exposure', {
+                    experiment_id: experimentId,
+                    variant_id: experiments.getActive()[experimentId]
+                });
+            });
+        }, { threshold: 0.5 });
+
+        experimentElements.forEach(element => {
+            const experimentId = element.getAttribute('data-experiment');
+            const variantElements = Array.from(element.querySelectorAll('[data-variant]'))
+                .filter(variant => variant.closest('[data-experiment]') === element);
+            if (variantElements.length === 0) return;
+
+            const variantId = experiments.activate(experimentId, variantElements.map(variant => ({
+                id: variant.getAttribute('data-variant'),
+                weight: parseFloat(variant.getAttribute('data-variant-weight')) || 1
+            })));
+
+            variantElements.forEach(variant => {
+                variant.hidden = variant.getAttribute('data-variant') !== variantId;
             });
+            element.setAttribute('data-experiment-variant', variantId);
+
+            // QA previews stay out of the results
+            if (!experiments.isOverridden(experimentId)) {
+                observer.observe(element);
+            }
         });
     }
 
-    // 6. Enhanced contact form with better validation and UX
-    function initContactForm() {
-        const form = document.getElementById('contact-form');
-        if (!form) return;
+    // 18. Language - detect the locale, translate the page and wire up the navbar switcher
+    function initI18n() {
+        const switcherButtons = document.querySelectorAll('[data-lang]');
 
-        const submitButton = form.querySelector('.btn-submit');
-        const successMessage = document.getElementById('form-success');
-        const inputs = form.querySelectorAll('input, textarea');
-        
-        // Real-time validation
-        const validationRules = {
-            name: {
-                required: true,
-                minLength: 2,
-                pattern: /^[a-zA-Z\s-'\.]+$/,
-                message: 'Please enter a valid name'
-            },
-            email: {
-                required: true,
-                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-                message: 'Please enter a valid email address'
-            },
-            website: {
-                pattern: /^https?:\/\/.+/,
-                message: 'Please enter a valid URL (including http:// or https://)'
+        function updateSwitcher(locale) {
+            switcherButtons.forEach(button => {
+                button.setAttribute('aria-pressed', String(button.getAttribute('data-lang') === locale));
+            });
+        }
+
+        i18n.onChange(updateSwitcher);
+        updateSwitcher(i18n.getLocale());
+
+        switcherButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const lang = button.getAttribute('data-lang');
+
+                // A shared ?lang= link shouldn't switch it back on the next reload
+                const url = new URL(window.location.href);
+                if (url.searchParams.has('lang')) {
+                    url.searchParams.set('lang', lang);
+                    history.replaceState(history.state, '', url);
+                }
+
+                i18n.setLocale(lang).catch(error => handleError(error, 'Language Switch'));
+            });
+        });
+
+        const locale = i18n.detect();
+        if (locale !== i18n.getLocale()) {
+            i18n.setLocale(locale, { persist: false }).catch(error => handleError(error, 'Language'));
+        }
+    }
+
+    // 19. ROI calculator - live projections in the pricing section, following the selected business type
+    function initRoiCalculator() {
+        const calculator = document.getElementById('roi-calculator');
+        if (!calculator) return;
+
+        const fields = {
+            vertical: calculator.querySelector('[name="roi_vertical"]'),
+            adBudget: calculator.querySelector('[name="roi_ad_budget"]'),
+            customerValue: calculator.querySelector('[name="roi_customer_value"]'),
+            currentCustomers: calculator.querySelector('[name="roi_current_customers"]')
+        };
+        if (Object.values(fields).some(field => !field)) return;
+
+        const outputs = calculator.querySelectorAll('[data-roi-output]');
+        const { budget } = roiSettings;
+        let isTouched = false;
+        let customerValueEdited = false;
+        let foundingOpen = true;
+        let trackTimeout = null;
+
+        fields.adBudget.min = String(budget.min);
+        fields.adBudget.max = String(budget.max);
+        fields.adBudget.step = String(budget.step);
+        fields.adBudget.value = String(budget.default);
+        fields.currentCustomers.value = String(roiSettings.defaultCurrentCustomers);
+
+        const format = (value, options) => new Intl.NumberFormat(i18n.getLocale(), options).format(value);
+        const currency = value => format(value, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+
+        function readInputs() {
+            const number = field => Math.max(0, parseFloat(field.value) || 0);
+            return {
+                vertical: fields.vertical.value,
+                adBudget: number(fields.adBudget),
+                customerValue: number(fields.customerValue),
+                currentCustomers: number(fields.currentCustomers)
+            };
+        }
+
+        function render() {
+            const inputs = readInputs();
+            const result = calculateRoi(inputs, foundingOpen ? roiSettings : { ...roiSettings, discount: 0 });
+            const formatted = {
+                adBudget: currency(inputs.adBudget),
+                monthlyCost: i18n.t(result.monthlyCostDiscounted < result.monthlyCost ? 'roi.monthlyCost' : 'roi.monthlyCostFull', {
+                    discounted: currency(result.monthlyCostDiscounted),
+                    full: currency(result.monthlyCost),
+                    months: roiSettings.discountMonths
+                }),
+                costPerLead: currency(result.costPerLead),
+                customers: `${format(inputs.currentCustomers)} → ${format(result.projectedCustomers, { maximumFractionDigits: 1 })}`,
+                breakEven: result.breakEvenCustomers === null ? '—' : format(result.breakEvenCustomers),
+                roi: format(result.roi, { style: 'percent', maximumFractionDigits: 0 })
+            };
+
+            outputs.forEach(output => {
+                output.textContent = formatted[output.getAttribute('data-roi-output')] || '';
+            });
+            calculator.classList.toggle('roi-negative', result.roi < 0);
+            return { inputs, result };
+        }
+
+        // Only inputs the visitor chose count - the defaults say nothing about their business
+        function update() {
+            const { inputs, result } = render();
+            roiCalculator.set(inputs, result);
+
+            clearTimeout(trackTimeout);
+            trackTimeout = setTimeout(() => {
+                analytics.track('roi_calculated', {
+                    vertical: inputs.vertical,
+                    ad_budget: inputs.adBudget,
+                    customer_value: inputs.customerValue,
+                    projected_roi: Math.round(result.roi * 100)
+                });
+            }, 1500);
+        }
+
+        // A typed-in customer value wins over the vertical's benchmark
+        function applyVertical(type) {
+            const vertical = roiSettings.verticals[type] ? type : 'other';
+            fields.vertical.value = vertical;
+            if (!customerValueEdited) {
+                fields.customerValue.value = String(roiSettings.verticals[vertical].customerValue);
+            }
+        }
+
+        calculator.addEventListener('input', (e) => {
+            isTouched = true;
+            if (e.target === fields.customerValue) customerValueEdited = true;
+            if (e.target === fields.vertical) applyVertical(fields.vertical.value);
+            update();
+        });
+        calculator.addEventListener('submit', (e) => e.preventDefault());
+
+        // Outside changes re-run the numbers; they only become the visitor's choice once they've used it
+        const recalculate = () => (isTouched ? update() : render());
+
+        window.addEventListener('businessTypeSelected', (e) => {
+            applyVertical(e.detail.type);
+            recalculate();
+        });
+        i18n.onChange(render);
+
+        // No founding places left, no founding discount
+        window.addEventListener('availabilityUpdated', (e) => {
+            foundingOpen = e.detail.foundingRemaining !== 0;
+            recalculate();
+        });
+
+        const businessTypeInput = document.getElementById('business-type');
+        applyVertical((businessTypeInput && businessTypeInput.value) || siteSettings.defaultBusinessType);
+        render();
+
+        // The static price line stays for visitors without JavaScript
+        calculator.hidden = false;
+        const breakdown = calculator.closest('.pricing-breakdown');
+        if (breakdown) breakdown.classList.add('calculator-active');
+    }
+
+    // 20. Availability - live spot counts, the month-end countdown and waitlist mode for the audit form
+    function initAvailability() {
+        const spotTexts = document.querySelectorAll('[data-availability]');
+        const countdown = document.querySelector('[data-availability-countdown]');
+        const notice = document.querySelector('.availability-notice');
+        const foundingTitle = document.querySelector('[data-founding="title"]');
+        const foundingCount = document.querySelector('[data-founding="remaining"]');
+        const foundingSpecial = document.querySelector('.founding-special');
+        const foundingDiscount = foundingSpecial && foundingSpecial.querySelector('.special-discount');
+        const submitLabel = document.querySelector('#contact-form .btn-submit [data-i18n]');
+
+        function renderCountdown() {
+            const data = availability.get();
+            if (!countdown || !data) return;
+
+            const remaining = data.closesAt.getTime() - Date.now();
+            if (data.waitlist || remaining <= 0) {
+                countdown.hidden = true;
+                return;
+            }
+
+            const days = Math.floor(remaining / 86400000);
+            countdown.textContent = days >= 1
+                ? i18n.t('availability.closesInDays', { count: days })
+                : i18n.t('availability.closesInHours', { count: Math.max(1, Math.ceil(remaining / 3600000)) });
+            countdown.hidden = false;
+        }
+
+        function renderFounding({ founding }) {
+            if (!founding) return;
+
+            if (foundingTitle) {
+                foundingTitle.textContent = i18n.t('pricing.founding.titleCount', { total: founding.total });
+            }
+            if (foundingCount) {
+                foundingCount.textContent = founding.remaining > 0
+                    ? i18n.t('pricing.founding.remaining', { count: founding.remaining, total: founding.total })
+                    : i18n.t('pricing.founding.closed');
+                foundingCount.hidden = false;
+            }
+            if (foundingSpecial) foundingSpecial.classList.toggle('is-closed', founding.remaining === 0);
+            if (foundingDiscount) foundingDiscount.hidden = founding.remaining === 0;
+        }
+
+        function render() {
+            const data = availability.get();
+            if (!data) return;
+
+            const month = new Intl.DateTimeFormat(i18n.getLocale(), { month: 'long' }).format(data.closesAt);
+            spotTexts.forEach(element => {
+                element.textContent = data.waitlist
+                    ? i18n.t('availability.waitlist', { month })
+                    : i18n.t(`availability.${element.getAttribute('data-availability')}`, { count: data.spotsLeft });
+            });
+            if (notice) notice.classList.toggle('is-waitlist', data.waitlist);
+
+            // Waitlist mode swaps the form's call to action (t() falls back to English if a catalog lacks it)
+            if (submitLabel) {
+                const labelKey = data.waitlist ? 'form.submitWaitlist' : 'form.submit';
+                submitLabel.setAttribute('data-i18n', labelKey);
+                submitLabel.textContent = i18n.t(labelKey);
+            }
+
+            renderFounding(data);
+            renderCountdown();
+        }
+
+        async function refresh() {
+            try {
+                const data = await availability.load();
+                render();
+
+                window.dispatchEvent(new CustomEvent('availabilityUpdated', {
+                    detail: {
+                        spotsLeft: data.spotsLeft,
+                        waitlist: data.waitlist,
+                        foundingRemaining: data.founding ? data.founding.remaining : null
+                    }
+                }));
+            } catch (error) {
+                // The static copy in the page stays as it is
+                handleError(error, 'Availability');
+            }
+        }
+
+        i18n.onChange(render);
+        setInterval(renderCountdown, 60000);
+        if (availabilitySettings.refreshInterval > 0) {
+            setInterval(refresh, availabilitySettings.refreshInterval);
+        }
+
+        refresh();
+    }
+
+    // 21. Portfolio - case studies rendered from data, with vertical filters, sorting and a linkable detail view
+    function initPortfolio() {
+        const section = document.getElementById('work');
+        const grid = section && section.querySelector('.portfolio-grid');
+        const modal = document.getElementById('case-study-modal');
+        if (!grid || !modal) return;
+
+        const controls = section.querySelector('[data-portfolio-controls]');
+        const filterGroup = section.querySelector('[data-portfolio-filters]');
+        const sortSelect = section.querySelector('[data-portfolio-sort]');
+        const status = section.querySelector('[data-portfolio-status]');
+        const dialog = dialogs.register(modal);
+        const { localize } = caseStudies;
+
+        const state = {
+            vertical: 'all',
+            sort: CASE_STUDY_SORTS.includes(caseStudySettings.defaultSort) ? caseStudySettings.defaultSort : 'featured'
+        };
+        let loaded = false;
+        let openId = null;
+
+        const format = (value, options) => new Intl.NumberFormat(i18n.getLocale(), options).format(value);
+
+        function formatValue(value, unit) {
+            if (unit === 'currency') return format(value, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+            if (unit === 'percent') return format(value / 100, { style: 'percent', maximumFractionDigits: 1 });
+            return format(value);
+        }
+
+        // "-67%", or "+10 pts" for percent metrics
+        function formatChange({ change, changeUnit }) {
+            if (changeUnit === 'points') {
+                return i18n.t('work.metric.points', {
+                    count: Math.abs(change),
+                    change: format(change, { maximumFractionDigits: 1, signDisplay: 'exceptZero' })
+                });
+            }
+            return format(change / 100, { style: 'percent', maximumFractionDigits: 0, signDisplay: 'exceptZero' });
+        }
+
+        // "$93 → $31 (-67%)", "2% → 12% (+10 pts)", "23" or "+340%"
+        function describeMetric(metric) {
+            if (metric.before !== null) {
+                return i18n.t('work.metric.beforeAfter', {
+                    before: formatValue(metric.before, metric.unit),
+                    after: formatValue(metric.after, metric.unit),
+                    change: formatChange(metric)
+                });
             }
-        };
+            return metric.after !== null ? formatValue(metric.after, metric.unit) : formatChange(metric);
+        }
 
-        function validateField(field) {
-            const rules = validationRules[field.name];
-            if (!rules) return true;
+        const verticalLabel = vertical => (i18n.has(`work.vertical.${vertical}`) ? i18n.t(`work.vertical.${vertical}`) : vertical);
 
-            const value = field.value.trim();
-            let isValid = true;
-            let message = '';
+        function formatPublished(published) {
+            if (!published) return '';
+            const [year, month] = published.split('-').map(Number);
+            return new Intl.DateTimeFormat(i18n.getLocale(), { month: 'long', year: 'numeric' }).format(new Date(year, month - 1, 1));
+        }
 
-            // Required check
-            if (rules.required && !value) {
-                isValid = false;
-                message = `${field.name.charAt(0).toUpperCase() + field.name.slice(1)} is required`;
-            }
-            // Pattern check
-            else if (value && rules.pattern && !rules.pattern.test(value)) {
-                isValid = false;
-                message = rules.message;
+        function linkTo(id) {
+            const url = new URL(window.location.href);
+            if (id) {
+                url.searchParams.set(caseStudySettings.linkParam, id);
+            } else {
+                url.searchParams.delete(caseStudySettings.linkParam);
             }
-            // Min length check
-            else if (value && rules.minLength && value.length < rules.minLength) {
-                isValid = false;
-                message = `Must be at least ${rules.minLength} characters`;
+            return url;
+        }
+
+        function fillLabelled(element, labelKey, text) {
+            element.querySelector('strong').textContent = i18n.t(labelKey);
+            element.querySelector('span').textContent = localize(text);
+            element.hidden = !text;
+        }
+
+        function renderChange(change) {
+            const item = document.createElement('li');
+            const labelKey = `work.change.${change.type}`;
+            if (change.type && i18n.has(labelKey)) {
+                const label = document.createElement('strong');
+                label.textContent = i18n.t(labelKey);
+                item.append(label, ' ');
             }
+            item.append(localize(change.text));
+            return item;
+        }
 
-            // Update field appearance
-            field.classList.toggle('error', !isValid);
-            field.style.borderColor = isValid ? '' : 'var(--color-error)';
-            
-            // Show/hide error message
-            let errorElement = field.parentNode.querySelector('.error-message');
-            if (!isValid && message) {
-                if (!errorElement) {
-                    errorElement = document.createElement('div');
-                    errorElement.className = 'error-message';
-                    errorElement.style.cssText = `
-                        color: var(--color-error);
-                        font-size: var(--text-sm);
-                        margin-top: var(--space-1);
-                    `;
-                    field.parentNode.appendChild(errorElement);
-                }
-                errorElement.textContent = message;
-            } else if (errorElement) {
-                errorElement.remove();
+        function renderResult(metric) {
+            const item = document.createElement('li');
+            const label = document.createElement('strong');
+            label.textContent = i18n.t('work.resultLabel');
+            item.append(label, ' ', i18n.t('work.metric.line', { label: localize(metric.label), value: describeMetric(metric) }));
+            return item;
+        }
+
+        function renderCard(study) {
+            const card = document.createElement('article');
+            card.className = 'portfolio-card';
+            card.setAttribute('data-case-id', study.id);
+            card.setAttribute('data-vertical', study.vertical);
+            card.innerHTML = `
+                <div class="portfolio-badge"></div>
+                <div class="portfolio-image ${study.vertical}">
+                    <i class="fas ${study.icon}" aria-hidden="true"></i>
+                    <span></span>
+                </div>
+                <div class="portfolio-content">
+                    <h3 id="case-${study.id}-title"></h3>
+                    <div class="problem-solution">
+                        <div class="problem"><strong></strong> <span></span></div>
+                        <div class="solution"><strong></strong> <span></span></div>
+                    </div>
+                    <ul class="audit-recommendations"></ul>
+                    <a class="portfolio-link" data-case-open="${study.id}" aria-describedby="case-${study.id}-title"></a>
+                </div>
+            `;
+
+            card.querySelector('.portfolio-badge').textContent = i18n.t('work.badge');
+            card.querySelector('.portfolio-image span').textContent = localize(study.label);
+            card.querySelector('h3').textContent = localize(study.title);
+            fillLabelled(card.querySelector('.problem'), 'work.problemLabel', study.problem);
+            fillLabelled(card.querySelector('.solution'), 'work.solutionLabel', study.solution);
+
+            const limit = caseStudySettings.cardHighlights;
+            card.querySelector('.audit-recommendations').append(
+                ...study.changes.slice(0, limit).map(renderChange),
+                ...study.metrics.slice(0, limit).map(renderResult)
+            );
+
+            const link = card.querySelector('.portfolio-link');
+            link.href = linkTo(study.id).href;
+            link.textContent = i18n.t('work.viewCase');
+            return card;
+        }
+
+        function renderFilters() {
+            if (!filterGroup) return;
+
+            filterGroup.replaceChildren(...['all', ...caseStudies.getVerticals()].map(vertical => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'portfolio-filter';
+                button.setAttribute('data-filter', vertical);
+                button.setAttribute('aria-pressed', String(vertical === state.vertical));
+                button.textContent = vertical === 'all' ? i18n.t('work.filter.all') : verticalLabel(vertical);
+                return button;
+            }));
+        }
+
+        function renderGrid({ announce = false } = {}) {
+            const visible = caseStudies.list({ ...state, prefer: personalization.caseStudyVertical() });
+            grid.replaceChildren(...visible.map(renderCard));
+
+            if (announce && status) {
+                status.textContent = i18n.t('work.showing', { count: visible.length });
             }
+            return visible;
+        }
+
+        function renderDetail(study) {
+            const field = name => modal.querySelector(`[data-case-field="${name}"]`);
+
+            field('title').textContent = localize(study.title);
+            field('meta').textContent = [verticalLabel(study.vertical), study.region, formatPublished(study.published)]
+                .filter(Boolean)
+                .join(' · ');
+            fillLabelled(field('problem'), 'work.problemLabel', study.problem);
+            fillLabelled(field('solution'), 'work.solutionLabel', study.solution);
+            field('changes').replaceChildren(...study.changes.map(renderChange));
+            field('changes-section').hidden = study.changes.length === 0;
+
+            field('metrics').replaceChildren(...study.metrics.map(metric => {
+                const row = document.createElement('tr');
+                const label = document.createElement('th');
+                label.scope = 'row';
+                label.textContent = localize(metric.label);
+                row.appendChild(label);
+
+                [
+                    metric.before !== null ? formatValue(metric.before, metric.unit) : '—',
+                    metric.after !== null ? formatValue(metric.after, metric.unit) : '—',
+                    metric.change !== null ? formatChange(metric) : '—'
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                return row;
+            }));
+            field('metrics-section').hidden = study.metrics.length === 0;
+        }
+
+        function openStudy(id, { opener, source }) {
+            const study = caseStudies.get(id);
+            openId = id;
+            renderDetail(study);
+            // replaceState rather than pushState: the back button stays with the exit-intent guard
+            history.replaceState(history.state, '', linkTo(id));
+            dialog.open({ opener });
 
-            return isValid;
+            analytics.track('case_study_viewed', { case_id: id, vertical: study.vertical, source });
         }
 
-        // Add real-time validation to inputs
-        inputs.forEach(input => {
-            // Validate on blur
-            input.addEventListener('blur', () => validateField(input));
-            
-            // Clear validation on input
-            input.addEventListener('input', () => {
-                input.classList.remove('error');
-                input.style.borderColor = '';
-                const errorElement = input.parentNode.querySelector('.error-message');
-                if (errorElement) {
-                    errorElement.remove();
-                }
+        function trackFilter(results) {
+            analytics.track('portfolio_filtered', { vertical: state.vertical, sort: state.sort, results });
+        }
+
+        if (filterGroup) {
+            filterGroup.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-filter]');
+                if (!button || button.getAttribute('data-filter') === state.vertical) return;
+
+                state.vertical = button.getAttribute('data-filter');
+                renderFilters();
+                trackFilter(renderGrid({ announce: true }).length);
             });
-        });
+        }
 
-        // Form submission with enhanced error handling
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            // Validate all fields
-            let isFormValid = true;
-            inputs.forEach(input => {
-                if (!validateField(input)) {
-                    isFormValid = false;
-                }
+        if (sortSelect) {
+            sortSelect.value = state.sort;
+            sortSelect.addEventListener('change', () => {
+                state.sort = CASE_STUDY_SORTS.includes(sortSelect.value) ? sortSelect.value : 'featured';
+                trackFilter(renderGrid({ announce: true }).length);
             });
+        }
 
-            if (!isFormValid) {
-                // Focus first invalid field
-                const firstError = form.querySelector('.error');
-                if (firstError) {
-                    firstError.focus();
-                    firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                }
-                return;
-            }
+        grid.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-case-open]');
+            // Modified clicks open the deep link in a new tab as usual
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button > 0) return;
 
-            // Check honeypot
-            const honeypot = form.querySelector('input[name="website_url"]');
-            if (honeypot && honeypot.value) {
-                return; // Silent fail for bots
-            }
+            e.preventDefault();
+            openStudy(link.getAttribute('data-case-open'), { opener: link, source: 'card' });
+        });
 
-            // Update button state
-            const originalButtonText = submitButton.innerHTML;
-            if (submitButton) {
-                submitButton.disabled = true;
-                submitButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
-                submitButton.classList.add('loading');
+        modal.addEventListener('dialogClose', () => {
+            // A language switch re-renders the cards, so the original opener may be gone
+            const link = grid.querySelector(`[data-case-open="${openId}"]`);
+            const active = document.activeElement;
+            if (link && (!active || active === document.body || modal.contains(active))) {
+                link.focus();
             }
 
-            try {
-                const formData = new FormData(form);
-                
-                // Add additional data
-                formData.append('timestamp', new Date().toISOString());
-                formData.append('user_agent', navigator.userAgent);
-                
-                const response = await fetch(form.action, {
-                    method: 'POST',
-                    body: formData,
-                    headers: {
-                        'Accept': 'application/json'
-                    }
-                });
+            openId = null;
+            history.replaceState(history.state, '', linkTo(null));
+        });
 
-                if (response.ok) {
-                    // Success handling
-                    if (successMessage) {
-                        successMessage.classList.add('show');
-                        successMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                    }
-                    
-                    form.reset();
-                    
-                    // Reset business type to default
-                    const businessTypeInput = document.getElementById('business-type');
-                    if (businessTypeInput) {
-                        businessTypeInput.value = 'dental';
-                    }
-                    
-                    // Reset active business type card
-                    const businessTypeCards = document.querySelectorAll('.business-type-card');
-                    businessTypeCards.forEach((card, index) => {
-                        card.classList.remove('active');
-                        card.setAttribute('aria-pressed', 'false');
-                        if (index === 0) { // First card (dental)
-                            card.classList.add('active');
-                            card.setAttribute('aria-pressed', 'true');
-                        }
-                    });
-                    
-                    // Analytics event
-                    if (window.gtag) {
-                        window.gtag('event', 'form_submit', {
-                            event_category: 'engagement',
-                            event_label: 'contact_form'
-                        });
-                    }
-                    
-                    // Hide success message after 10 seconds
-                    setTimeout(() => {
-                        if (successMessage) {
-                            successMessage.classList.remove('show');
-                        }
-                    }, 10000);
-                    
-                } else {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-            } catch (error) {
-                handleError(error, 'Form Submission');
-                
-                // Show user-friendly error message
-                alert('There was an error sending your message. Please try again or contact us directly at hello@armanleads.com');
-                
-                // Analytics event
-                if (window.gtag) {
-                    window.gtag('event', 'exception', {
-                        description: 'Form submission failed',
-                        fatal: false
-                    });
-                }
-            } finally {
-                // Reset button state
-                if (submitButton) {
-                    submitButton.disabled = false;
-                    submitButton.innerHTML = originalButtonText;
-                    submitButton.classList.remove('loading');
-                }
-            }
+        window.addEventListener('verticalChanged', () => {
+            if (loaded) renderGrid();
+        });
+
+        i18n.onChange(() => {
+            if (!loaded) return;
+
+            renderFilters();
+            renderGrid();
+            if (openId) renderDetail(caseStudies.get(openId));
         });
+
+        caseStudies.load()
+            .then(() => {
+                loaded = true;
+                renderFilters();
+                renderGrid();
+                if (controls) controls.hidden = false;
+
+                const requested = new URLSearchParams(window.location.search).get(caseStudySettings.linkParam);
+                if (!requested) return;
+
+                if (!caseStudies.get(requested)) {
+                    history.replaceState(history.state, '', linkTo(null));
+                    toasts.info(i18n.t('work.notFound'));
+                    return;
+                }
+                openStudy(requested, {
+                    opener: grid.querySelector(`[data-case-open="${requested}"]`),
+                    source: 'link'
+                });
+            })
+            .catch(error => {
+                // The hand-written cards stay in place
+                handleError(error, 'Case Studies');
+            });
     }
 
-    // 7. Enhanced Calendly modal with better loading and error handling
-    function initCalendlyModal() {
-        const trigger = document.getElementById('calendly-trigger');
-        const modal = document.getElementById('calendly-modal');
-        const iframe = document.getElementById('calendly-iframe');
-        const closeButtons = modal?.querySelectorAll('[data-close-modal]');
-        const loadingElement = modal?.querySelector('.calendly-loading');
-        
-        if (!trigger || !modal) return;
+    // 22. Personalization - vertical-specific copy, FAQ entries and case study order for the session
+    function initPersonalization() {
+        const baseKeys = new Map();
 
-        let isModalOpen = false;
-        let focusableElements = [];
-        let originalFocus = null;
-        let iframeSrcSet = false;
-        let iframeLoaded = false;
+        function apply() {
+            const vertical = personalization.get();
+
+            document.querySelectorAll('[data-personalize]').forEach(element => {
+                const attr = element.hasAttribute('data-i18n-html') ? 'data-i18n-html' : 'data-i18n';
+                if (!baseKeys.has(element)) baseKeys.set(element, element.getAttribute(attr));
+
+                const baseKey = baseKeys.get(element);
+                const key = `${element.getAttribute('data-personalize') || baseKey}.${vertical}`;
+                const personalized = Boolean(vertical) && i18n.has(key);
+                element.setAttribute(attr, personalized ? key : baseKey);
+                element.toggleAttribute('data-personalized', personalized);
+
+                // Only the swapped copy - a whole-page pass would undo text other modules filled in from data
+                i18n.translatePage(element);
+            });
 
-        function updateFocusableElements() {
-            focusableElements = Array.from(modal.querySelectorAll(
-                'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-            ));
+            document.querySelectorAll('[data-for-vertical]').forEach(element => {
+                element.hidden = element.getAttribute('data-for-vertical') !== vertical;
+            });
         }
 
-        function trapFocus(e) {
-            if (!isModalOpen || focusableElements.length === 0) return;
+        function track() {
+            analytics.track('personalization_applied', {
+                vertical: personalization.get(),
+                source: personalization.getSource()
+            });
+        }
 
-            if (e.key === 'Tab') {
-                const firstFocusable = focusableElements[0];
-                const lastFocusable = focusableElements[focusableElements.length - 1];
+        // The default selection isn't a choice, so only a visitor's own pick personalizes the page
+        window.addEventListener('businessTypeSelected', (e) => {
+            if (e.detail && !e.detail.initial) personalization.set(e.detail.type, 'selection');
+        });
 
-                if (e.shiftKey) {
-                    if (document.activeElement === firstFocusable) {
-                        e.preventDefault();
-                        lastFocusable.focus();
-                    }
-                } else {
-                    if (document.activeElement === lastFocusable) {
-                        e.preventDefault();
-                        firstFocusable.focus();
-                    }
-                }
-            }
+        window.addEventListener('verticalChanged', () => {
+            apply();
+            track();
+        });
+
+        if (personalization.get()) {
+            apply();
+            track();
         }
+    }
 
-        function openModal() {
-            isModalOpen = true;
-            originalFocus = document.activeElement;
-            modal.classList.add('active');
-            document.body.classList.add('modal-open');
-            modal.setAttribute('aria-hidden', 'false');
+    // 23. FAQ - disclosure accordion with search, expand all, #faq-<id> links and FAQPage structured data
+    function initFaq() {
+        const section = document.getElementById('faq');
+        const items = section ? Array.from(section.querySelectorAll('.faq-item[id]')) : [];
+        if (items.length === 0) return;
 
-            // Focus management
-            updateFocusableElements();
-            if (focusableElements[0]) {
-                focusableElements[0].focus();
+        const tools = section.querySelector('[data-faq-tools]');
+        const searchInput = section.querySelector('#faq-search');
+        const toggleAll = section.querySelector('[data-faq-toggle-all]');
+        const status = section.querySelector('[data-faq-status]');
+        const empty = section.querySelector('[data-faq-empty]');
+
+        const parts = item => ({
+            button: item.querySelector('.faq-question'),
+            answer: item.querySelector('.faq-answer')
+        });
+        // Questions for another vertical are hidden by personalization and aren't part of this visitor's page
+        const isAvailable = item => !item.hidden;
+        const isShown = item => isAvailable(item) && !item.classList.contains('is-filtered');
+        const isExpanded = item => parts(item).button.getAttribute('aria-expanded') === 'true';
+
+        let query = '';
+        let expandedBeforeSearch = null;
+
+        function setExpanded(item, expanded) {
+            const { button, answer } = parts(item);
+            button.setAttribute('aria-expanded', String(expanded));
+            item.classList.toggle('is-open', expanded);
+
+            // until-found keeps collapsed answers reachable with the browser's find in page
+            if (expanded) {
+                answer.removeAttribute('hidden');
+            } else {
+                answer.setAttribute('hidden', 'until-found');
             }
+        }
 
-            // Load iframe if not already loaded
-            if (!iframeSrcSet && iframe) {
-                iframe.src = 'https://calendly.com/vrmvn0/meeting';
-                iframeSrcSet = true;
+        function updateToggleAll() {
+            if (!toggleAll) return;
 
-                // Handle iframe load
-                iframe.addEventListener('load', () => {
-                    iframeLoaded = true;
-                    if (loadingElement) {
-                        loadingElement.style.display = 'none';
-                    }
-                });
+            const shown = items.filter(isShown);
+            const key = shown.length > 0 && shown.every(isExpanded) ? 'faq.collapseAll' : 'faq.expandAll';
+            toggleAll.setAttribute('data-i18n', key);
+            toggleAll.textContent = i18n.t(key);
+            toggleAll.disabled = shown.length === 0;
+        }
 
-                // Handle iframe error
-                iframe.addEventListener('error', () => {
-                    if (loadingElement) {
-                        loadingElement.innerHTML = `
-                            <div style="text-align: center; padding: 2rem;">
-                                <p>Unable to load calendar. Please try refreshing the page or contact us directly.</p>
-                                <a href="mailto:hello@armanleads.com" style="color: var(--color-accent-dark);">hello@armanleads.com</a>
-                            </div>
-                        `;
-                    }
+        // The open question goes in the hash, so the address bar always has a link to share.
+        // replaceState doesn't fire hashchange or add history entries
+        function open(item, { source, updateHash = true }) {
+            if (faqSettings.singleOpen) {
+                items.forEach(other => {
+                    if (other !== item) setExpanded(other, false);
                 });
+            }
 
-                // Timeout for loading
-                setTimeout(() => {
-                    if (!iframeLoaded && loadingElement) {
-                        loadingElement.innerHTML = `
-                            <div style="text-align: center;">
-                                <p>Taking longer than expected...</p>
-                                <button onclick="location.reload()" style="margin-top: 1rem; padding: 0.5rem 1rem; background: var(--color-accent); border: none; border-radius: 4px; cursor: pointer;">
-                                    Refresh Page
-                                </button>
-                            </div>
-                        `;
-                    }
-                }, 10000);
+            setExpanded(item, true);
+            if (updateHash) {
+                history.replaceState(history.state, '', `#${item.id}`);
             }
+            updateToggleAll();
 
-            document.addEventListener('keydown', trapFocus);
+            analytics.track('faq_open', { question_id: item.id, source });
         }
 
-        function closeModal() {
-            isModalOpen = false;
-            modal.classList.remove('active');
-            document.body.classList.remove('modal-open');
-            modal.setAttribute('aria-hidden', 'true');
-            
-            document.removeEventListener('keydown', trapFocus);
-            
-            // Restore focus
-            if (originalFocus) {
-                originalFocus.focus();
-            } else {
-                trigger.focus();
+        function close(item) {
+            setExpanded(item, false);
+            if (window.location.hash === `#${item.id}`) {
+                history.replaceState(history.state, '', window.location.pathname + window.location.search);
             }
+            updateToggleAll();
         }
 
-        // Event listeners
-        trigger.addEventListener('click', (e) => {
-            e.preventDefault();
-            openModal();
-        });
+        const normalizeText = text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
 
-        if (closeButtons) {
-            closeButtons.forEach(button => {
-                button.addEventListener('click', closeModal);
+        // Every word has to appear somewhere in the question or its answer; matches open while searching
+        // and the earlier open/closed state comes back when the search is cleared
+        function applySearch({ announce = true } = {}) {
+            const terms = normalizeText(query).split(/\s+/).filter(Boolean);
+            if (terms.length > 0 && !expandedBeforeSearch) {
+                expandedBeforeSearch = new Set(items.filter(isExpanded));
+            }
+
+            let matches = 0;
+            items.forEach(item => {
+                const text = normalizeText(item.textContent);
+                const matched = terms.every(term => text.includes(term));
+                item.classList.toggle('is-filtered', !matched);
+
+                if (terms.length > 0 && matched) setExpanded(item, true);
+                if (matched && isAvailable(item)) matches++;
             });
+
+            if (terms.length === 0 && expandedBeforeSearch) {
+                items.forEach(item => setExpanded(item, expandedBeforeSearch.has(item)));
+                expandedBeforeSearch = null;
+            }
+
+            if (empty) {
+                empty.hidden = terms.length === 0 || matches > 0;
+                empty.textContent = empty.hidden ? '' : i18n.t('faq.noResults', { query: query.trim() });
+            }
+            if (announce && status) {
+                status.textContent = terms.length > 0 ? i18n.t('faq.results', { count: matches }) : '';
+            }
+            updateToggleAll();
+            return matches;
         }
 
-        // Close on Escape
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && isModalOpen) {
-                closeModal();
+        function clearSearch() {
+            if (!query) return;
+            query = '';
+            if (searchInput) searchInput.value = '';
+            applySearch({ announce: false });
+        }
+
+        // schema.org FAQPage built from what's on the page, so the rich result always matches the copy
+        function updateSchema() {
+            let script = document.getElementById('faq-schema');
+            if (!script) {
+                script = document.createElement('script');
+                script.type = 'application/ld+json';
+                script.id = 'faq-schema';
+                document.head.appendChild(script);
             }
-        });
 
-        // Initialize modal state
-        modal.setAttribute('aria-hidden', 'true');
+            script.textContent = JSON.stringify({
+                '@context': 'https://schema.org',
+                '@type': 'FAQPage',
+                inLanguage: i18n.getLocale(),
+                mainEntity: items.filter(isAvailable).map(item => {
+                    const { button, answer } = parts(item);
+                    return {
+                        '@type': 'Question',
+                        name: button.textContent.trim(),
+                        acceptedAnswer: {
+                            '@type': 'Answer',
+                            text: answer.textContent.trim()
+                        }
+                    };
+                })
+            });
+        }
 
-        return () => {
-            document.removeEventListener('keydown', trapFocus);
-        };
-    }
+        function openFromHash() {
+            const id = decodeURIComponent(window.location.hash.slice(1));
+            const item = id && items.find(candidate => candidate.id === id);
+            if (!item || !isAvailable(item)) return;
 
-    // 8. Enhanced scroll animations with performance optimizations
-    function initScrollAnimations() {
-        const animatedElements = document.querySelectorAll('[class*="animate-"], .card, .service-card, .approach-card');
-        if (animatedElements.length === 0) return;
+            clearSearch();
+            open(item, { source: 'link', updateHash: false });
+            item.scrollIntoView({ block: 'start' });
+            parts(item).button.focus({ preventScroll: true });
+        }
 
-        const observerOptions = {
-            root: null,
-            rootMargin: '0px 0px -50px 0px',
-            threshold: 0.1
-        };
+        section.addEventListener('click', (e) => {
+            const button = e.target.closest('.faq-question');
+            const item = button && button.closest('.faq-item');
+            if (!item) return;
 
-        const observer = createIntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('animate-in');
-                    // Unobserve to prevent re-triggering
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, observerOptions);
+            if (isExpanded(item)) {
+                close(item);
+            } else {
+                open(item, { source: 'click' });
+            }
+        });
 
-        animatedElements.forEach(element => {
-            observer.observe(element);
+        // Arrow keys, Home and End move between the visible questions
+        section.addEventListener('keydown', (e) => {
+            if (!e.target.classList.contains('faq-question')) return;
+
+            const buttons = items.filter(isShown).map(item => parts(item).button);
+            const index = buttons.indexOf(e.target);
+            const targets = {
+                ArrowDown: buttons[(index + 1) % buttons.length],
+                ArrowUp: buttons[(index - 1 + buttons.length) % buttons.length],
+                Home: buttons[0],
+                End: buttons[buttons.length - 1]
+            };
+            if (index === -1 || !targets[e.key]) return;
+
+            e.preventDefault();
+            targets[e.key].focus();
         });
 
-        return () => observer.disconnect();
-    }
+        items.forEach(item => {
+            parts(item).answer.addEventListener('beforematch', () => open(item, { source: 'find', updateHash: false }));
+        });
 
-    // 9. Performance monitoring and optimization
-    function initPerformanceMonitoring() {
-        // Monitor Core Web Vitals
-        if ('web-vital' in window) {
-            import('https://unpkg.com/web-vitals@3/dist/web-vitals.js').then(({ getCLS, getFID, getFCP, getLCP, getTTFB }) => {
-                getCLS(console.log);
-                getFID(console.log);
-                getFCP(console.log);
-                getLCP(console.log);
-                getTTFB(console.log);
+        if (toggleAll) {
+            // One question at a time and "expand all" contradict each other
+            toggleAll.hidden = faqSettings.singleOpen;
+            toggleAll.addEventListener('click', () => {
+                const shown = items.filter(isShown);
+                const expand = !shown.every(isExpanded);
+                shown.forEach(item => setExpanded(item, expand));
+                updateToggleAll();
             });
         }
 
-        // Monitor long tasks
-        if ('PerformanceObserver' in window) {
-            try {
-                const observer = new PerformanceObserver((list) => {
-                    list.getEntries().forEach((entry) => {
-                        if (entry.duration > 50) {
-                            console.warn('Long task detected:', entry.duration);
-                        }
-                    });
+        if (searchInput) {
+            const trackSearch = debounce(() => {
+                if (!query.trim()) return;
+                analytics.track('faq_search', {
+                    search_term: query.trim().slice(0, 100),
+                    results: items.filter(isShown).length
                 });
-                observer.observe({ entryTypes: ['longtask'] });
-            } catch (e) {
-                // Ignore if longtask is not supported
-            }
+            }, 1000);
+
+            const search = debounce(() => {
+                query = searchInput.value;
+                applySearch();
+                trackSearch();
+            }, faqSettings.searchDelay);
+
+            searchInput.addEventListener('input', search);
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && searchInput.value) {
+                    e.preventDefault();
+                    clearSearch();
+                }
+            });
         }
-    }
 
-    // 10. Enhanced error handling and recovery
-    function initErrorHandling() {
-        window.addEventListener('error', (e) => {
-            handleError(e.error, 'Global Error');
+        window.addEventListener('hashchange', openFromHash);
+
+        window.addEventListener('verticalChanged', () => {
+            applySearch({ announce: false });
+            updateSchema();
         });
 
-        window.addEventListener('unhandledrejection', (e) => {
-            handleError(e.reason, 'Unhandled Promise Rejection');
+        i18n.onChange(() => {
+            if (query) applySearch({ announce: false });
+            updateToggleAll();
+            updateSchema();
         });
+
+        items.forEach(item => setExpanded(item, false));
+        if (tools) tools.hidden = false;
+        updateToggleAll();
+        updateSchema();
+        openFromHash();
     }
 
     // Initialize everything when DOM is ready
     function init() {
-        try {
-            // Initialize core functionality
-            initPreloader();
-            initErrorHandling();
-            initStickyNavbar();
-            initMobileNav();
-            initSmoothNavigation();
-            initBusinessTypeSelector();
-            initContactForm();
-            initCalendlyModal();
-            
-            // Initialize enhancements
-            initScrollAnimations();
-            initPerformanceMonitoring();
+        loadConfig();
+
+        // Each module starts on its own, so one broken section is reported instead of taking the rest down.
+        // Modules with a feature flag can be switched off per deployment
+        const modules = [
+            // Core functionality
+            ['preloader', initPreloader],
+            [null, initErrorHandling],
+            ['i18n', initI18n],
+            ['consent', initConsent],
+            ['analytics', initAnalytics],
+            ['attribution', initAttribution],
+            ['experiments', initExperiments],
+            ['personalization', initPersonalization],
+            ['stickyNavbar', initStickyNavbar],
+            ['dialogs', initDialogs],
+            ['mobileNav', initMobileNav],
+            ['smoothNavigation', initSmoothNavigation],
+            ['businessTypeSelector', initBusinessTypeSelector],
+            ['roiCalculator', initRoiCalculator],
+            ['availability', initAvailability],
+            ['portfolio', initPortfolio],
+            ['faq', initFaq],
+            ['contactForm', initContactForm],
+            ['submissionQueue', initSubmissionQueue],
+            ['booking', initCalendlyModal],
+            ['engagementTriggers', initEngagementTriggers],
+            // Enhancements
+            ['scrollAnimations', initScrollAnimations],
+            ['performanceMonitoring', initPerformanceMonitoring]
+        ];
+
+        const failed = modules.filter(([feature, initModule]) => {
+            if (feature && featureFlags[feature] === false) return false;
+
+            try {
+                initModule();
+                return false;
+            } catch (error) {
+                handleError(error, `Initialization: ${initModule.name}`);
+                return true;
+            }
+        });
+
+        errorReporter.addBreadcrumb('init', failed.length
+            ? `initialized with ${failed.length} failed module(s)`
+            : 'initialized');
 
+        if (failed.length === 0) {
             // Mark as initialized
             document.body.setAttribute('data-js-initialized', 'true');
-            
+
             console.log('ArmanLeads: All scripts initialized successfully');
-        } catch (error) {
-            handleError(error, 'Initialization');
         }
     }
 
@@ -884,6 +5949,100 @@
     window.ArmanLeads = {
         version: '2.0.0',
         init: init,
+        transports: {
+            register: registerFormTransport,
+            create: createFormTransport
+        },
+        validation: {
+            register: registerFieldValidator,
+            createValidator: createFormValidator
+        },
+        consent,
+        analytics: {
+            ...analytics,
+            sinks: analyticsSinks
+        },
+        attribution: {
+            get: () => attribution.get(),
+            configure: configureAttribution
+        },
+        dialogs,
+        vitals: {
+            getMetrics: webVitals.getMetrics,
+            flush: webVitals.flush,
+            configure: configureVitals
+        },
+        config: {
+            get: getConfig,
+            configure,
+            isEnabled: (feature) => featureFlags[feature] !== false
+        },
+        errors: {
+            capture: errorReporter.capture,
+            addBreadcrumb: errorReporter.addBreadcrumb,
+            flush: errorReporter.flush,
+            configure: configureErrorReporting
+        },
+        toasts: {
+            show: toasts.show,
+            info: toasts.info,
+            success: toasts.success,
+            warning: toasts.warning,
+            error: toasts.error,
+            dismiss: toasts.dismiss,
+            configure: configureToasts
+        },
+        i18n: {
+            t: i18n.t,
+            setLocale: i18n.setLocale,
+            getLocale: i18n.getLocale,
+            onChange: i18n.onChange,
+            translate: i18n.translatePage,
+            configure: configureI18n,
+            messages: i18nMessages
+        },
+        experiments: {
+            getActive: experiments.getActive,
+            activate: experiments.activate
+        },
+        personalization: {
+            get: personalization.get,
+            set: (vertical) => personalization.set(vertical, 'api'),
+            configure: configurePersonalization
+        },
+        availability: {
+            get: availability.get,
+            configure: configureAvailability
+        },
+        caseStudies: {
+            list: caseStudies.list,
+            get: caseStudies.get,
+            configure: configureCaseStudies
+        },
+        faq: {
+            configure: configureFaq
+        },
+        drafts: {
+            configure: configureDrafts,
+            clear: (formId = 'contact-form') => formDrafts.clear(formId)
+        },
+        engagementTriggers: {
+            configure: configureEngagementTriggers,
+            settings: engagementTriggerSettings
+        },
+        scheduling: {
+            register: registerSchedulingProvider,
+            configure: configureScheduler,
+            providers: schedulingProviders
+        },
+        leadScoring: {
+            configure: configureLeadScoring,
+            weights: leadScoringWeights,
+            preview: () => {
+                const form = document.getElementById('contact-form');
+                return scoreLead(form ? new FormData(form) : new FormData(), pageEngagement.getSnapshot());
+            }
+        },
         utils: {
             debounce,
             throttle,